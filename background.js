@@ -1,251 +1,2037 @@
 // Tab Age Tracker - Background Service Worker
 // Tracks when tabs were last active and updates their favicons with age indicators
 
+importScripts('indicator.js'); // drawIndicatorIcon, shared with the options page's previews
+importScripts('palettes.js');  // color palettes, shared with the popup
+importScripts('stages.js');    // age stage helpers, shared with the popup
+importScripts('schedule.js');  // working hours and quiet blocks, shared with the options page
+
 const DEFAULT_SETTINGS = {
-  freshThreshold: 1,       // minutes - green zone (1 min for fast testing)
-  staleThreshold: 2,       // minutes - yellow/orange zone (2 min)
-  oldThreshold: 3,         // minutes - red zone (3 min)
+  // Age stages in order (see stages.js) - short times for fast testing
+  stages: [
+    { name: 'Fresh', minutes: 1, color: '#22c55e' },
+    { name: 'Stale', minutes: 2, color: '#f59e0b' },
+    { name: 'Old', minutes: 3, color: '#ef4444' }
+  ],
+  closeOldStage: 'Old',    // Close Old closes tabs that have outlived this stage
   enabled: true,
-  indicatorStyle: 'dot',   // 'dot' or 'badge'
+  indicatorStyle: 'dot',   // 'dot', 'badge', 'ring', 'pie', 'fade' or 'title'
   indicatorSize: 12,
+  palette: 'default',      // key of PALETTES (palettes.js), or 'custom' for the stages' own colors
   autoDeleteEnabled: false, // Auto-delete old tabs
-  autoDeleteThreshold: 60   // minutes before auto-delete
+  autoDeleteThreshold: 60,  // minutes before auto-delete
+  autoDeleteWarningMinutes: 10, // mark tabs and notify this long before auto-delete (0 = no warning)
+  discardEnabled: false,    // Unload (chrome.tabs.discard) inactive tabs before auto-delete
+  discardThreshold: 30,     // minutes before discarding
+  domainRules: [],          // per-domain overrides, first matching rule wins
+  badgeMode: 'old',         // toolbar badge count: 'off', 'old' (last stage) or 'staleOld' (last two stages)
+  badgePerWindow: false,    // count only the tabs of the badge's own window
+  autoGroupEnabled: false,  // keep tabs in one tab group per stage
+  groupUserTabs: false,     // also take tabs out of groups the user created
+  trackingParams: ['utm_*', 'fbclid', 'gclid', 'msclkid', 'mc_cid', 'mc_eid'], // ignored when comparing URLs
+  autoFocusDuplicates: false, // switch to the existing tab when a duplicate is opened
+  pauseWhenIdle: false,     // tabs don't age while the user is idle, the screen is locked or the browser is closed
+  spareEngagedTabs: false,  // auto-delete skips tabs the user has spent a lot of time in
+  engagedThreshold: 30,     // minutes of total focused time that make a tab "engaged"
+  closeOldToArchive: false, // Close Old sends tabs to the read-later archive instead of the closed-tab history
+  historyMaxEntries: 200,   // closed-tab history size limit
+  historyMaxAgeDays: 30,    // drop history entries older than this (0 = keep forever)
+  scheduleEnabled: false,   // auto-delete and sleeping only run on the schedule below (schedule.js)
+  scheduleMode: 'hours',    // 'hours': any time in the working hours, 'times': only at scheduleSweepTimes
+  scheduleDays: [1, 2, 3, 4, 5], // working days, 0 = Sunday
+  scheduleStart: '09:00',   // working hours, local time
+  scheduleEnd: '18:00',
+  scheduleSweepTimes: ['18:00'], // 'times' mode sweeps on working days
+  scheduleBlocks: [],       // quiet blocks { days, start, end } (e.g. meetings) when nothing runs
+  freezeAgingOffHours: false // tabs don't age outside the working hours
+};
+
+// Rule modes: 'default' only overrides stage times, 'protect' never closes the tab,
+// 'aggressive' closes it one stage early (Close Old) or once it outlives the Close Old stage (auto-delete)
+const RULE_MODES = ['default', 'protect', 'aggressive'];
+
+// Allowed values of the settings that pick one of a few options (palette is checked against PALETTES)
+const SETTING_CHOICES = {
+  indicatorStyle: ['dot', 'badge', 'ring', 'pie', 'fade', 'title'],
+  badgeMode: ['off', 'old', 'staleOld'],
+  scheduleMode: ['hours', 'times']
 };
+// Number settings that must be above zero; the others use 0 for "off" and only can't be negative
+const POSITIVE_SETTINGS = ['indicatorSize', 'autoDeleteThreshold', 'discardThreshold', 'engagedThreshold', 'historyMaxEntries'];
 
 // In-memory store for tab data
 let tabData = {};
 let settings = { ...DEFAULT_SETTINGS };
 
-// Deleted tabs history
+// Deleted tabs history, newest first. Entries closed together share a batchId;
+// source says what closed them: 'manual', 'closeOld', 'autoDelete', 'duplicates', 'bulk' or 'snooze'.
 let deletedTabs = [];
-const MAX_DELETED_HISTORY = 50;
-
-// Color interpolation in HSL space for smooth gradients
-// Pass thresholds as parameters to ensure fresh values are used
-function getAgeColor(minutesInactive, freshThreshold, staleThreshold, oldThreshold) {
-  // Green (140°) -> Yellow (60°) -> Orange (30°) -> Red (0°)
-  
-  let hue, saturation, lightness;
-  
-  if (minutesInactive <= freshThreshold) {
-    // Fresh: bright green
-    hue = 140;
-    saturation = 70;
-    lightness = 45;
-  } else if (minutesInactive <= staleThreshold) {
-    // Transitioning green -> yellow -> orange
-    const progress = (minutesInactive - freshThreshold) / (staleThreshold - freshThreshold);
-    hue = 140 - (progress * 100); // 140 -> 40
-    saturation = 70 + (progress * 15);
-    lightness = 45 + (progress * 5);
-  } else if (minutesInactive <= oldThreshold) {
-    // Transitioning orange -> red
-    const progress = (minutesInactive - staleThreshold) / (oldThreshold - staleThreshold);
-    hue = 40 - (progress * 40); // 40 -> 0
-    saturation = 85;
-    lightness = 50 - (progress * 5);
-  } else {
-    // Very old: deep red
-    hue = 0;
-    saturation = 80;
-    lightness = 40;
+const HISTORY_SOURCES = ['manual', 'closeOld', 'autoDelete', 'duplicates', 'bulk', 'snooze'];
+
+// Snoozed tabs - closed now, reopened by a chrome.alarms alarm named `snooze:<entry id>`
+let snoozedTabs = [];
+const SNOOZE_ALARM_PREFIX = 'snooze:';
+const SNOOZE_MORNING_HOUR = 9;        // "tomorrow morning" / "next week" wake up at 9:00
+const SNOOZE_LATER_TODAY_HOURS = 3;   // "later today" = 3 hours from now
+const COMMAND_SNOOZE_OPTION = 'tomorrow';
+
+// Settings profiles: named copies of the settings, the active one always mirrors `settings`.
+// With sync turned on they're shared through chrome.storage.sync (one item per profile);
+// tab data, history and the archive always stay on this machine.
+let profiles = [];            // [{ id, name, settings, createdAt, updatedAt }]
+let activeProfileId = null;   // per machine, never synced
+let profileSync = { enabled: false, error: null };
+let deletedProfileIds = [];   // deleted here but still in chrome.storage.sync, removed there on the next push
+let syncWriteTimer = null;
+const PROFILE_LOCAL_KEYS = ['enabled'];  // machine settings that switching profiles leaves alone
+const MAX_PROFILES = 10;                 // 10 items of at most 8 KB stay under chrome.storage.sync's 100 KB
+const MAX_PROFILE_NAME_LENGTH = 24;
+const SYNC_PROFILE_PREFIX = 'profile:';
+const SYNC_WRITE_DELAY_MS = 2000;        // coalesce quick edits, sync allows 120 writes a minute
+
+// Read-later archive - unbounded, so it lives in IndexedDB rather than chrome.storage.local
+const ARCHIVE_DB_NAME = 'tab-age-tracker';
+const ARCHIVE_DB_VERSION = 1;
+const ARCHIVE_STORE = 'archive';
+let archiveDbPromise = null;
+
+// Tab group colors, used to pick the one closest to each stage's color when grouping by age
+const GROUP_COLORS = {
+  grey: '#5f6368',
+  blue: '#1a73e8',
+  red: '#d93025',
+  yellow: '#f9ab00',
+  green: '#188038',
+  pink: '#d01884',
+  purple: '#a142f4',
+  cyan: '#007b83',
+  orange: '#fa903e'
+};
+
+// Group IDs created by the extension, mapped to their stage name (session storage - IDs change on restart)
+let ageGroupIds = {};
+
+// Toolbar badge last set globally and per tab ("text|color"), so unchanged badges aren't set again.
+// The per-tab ones are kept in session storage, since they outlive the service worker.
+let renderedGlobalBadge = null;
+let renderedBadges = {};
+
+// Periodic snapshots for the Stats panel charts
+const STATS_ALARM = 'stats-snapshot';
+const STATS_SNAPSHOT_MINUTES = 15;
+const STATS_RETENTION_DAYS = 31;
+
+// Tabs closed since the last stats snapshot. Counted in memory (loaded once per service worker start)
+// so closes that happen at the same time can't overwrite each other's counts, and saved after each change.
+let closeCounters = null;
+let closeCountersLoaded = null;
+// Tabs auto-delete is closing, so onRemoved counts them as auto-deleted
+const autoDeletingTabIds = new Set();
+
+// A newly created tab navigating within this window counts as "opening a duplicate"
+const DUPLICATE_FOCUS_WINDOW_MS = 10 * 1000;
+// Tabs created this soon after the browser starts come from session restore, not from the user
+const STARTUP_RESTORE_MS = 30 * 1000;
+let browserStartedAt = null;
+
+// "Closed N tabs" notifications with an Undo button, one per batch: `undo:<batchId>`
+const UNDO_NOTIFICATION_PREFIX = 'undo:';
+
+// Warning shown while tabs are about to be auto-deleted (updated as tabs enter the warning window)
+const AUTO_DELETE_WARNING_NOTIFICATION = 'auto-delete-warning';
+const WARNING_LIST_MAX_ITEMS = 5;
+
+// Export file format identifier and schema version
+const EXPORT_FORMAT = 'tab-age-tracker';
+const EXPORT_VERSION = 1;
+
+// Indicator update engine - instead of polling, each tab's next visual change is computed
+// and a single alarm is scheduled for the earliest one
+const INDICATOR_ALARM = 'indicator-update';
+const MAINTENANCE_ALARM = 'maintenance';     // periodic discard / auto-delete sweep
+const MAINTENANCE_PERIOD_MINUTES = 1;
+const SCHEDULE_ALARM = 'schedule';           // next working hours / quiet block boundary or sweep time
+const MIN_ALARM_DELAY_MS = 30 * 1000;        // chrome.alarms won't fire more often than every 30s
+const COLOR_STEPS = 20;                      // distinct colors per gradient segment
+const PROGRESS_STEPS = 12;                   // 'pie' / 'fade' redraw this many times on the way to old
+
+// Title prefix emoji for the 'title' indicator style, picked by how far along the stages a tab is
+const TITLE_PREFIX_EMOJI = ['🟢', '🟡', '🟠', '🔴'];
+const TITLE_PREFIX_CLOSING = '⏳';
+
+// Aging clock - runs like wall time but stands still while aging is paused (idle, locked screen,
+// browser closed, outside the working hours). Tab ages are measured on this clock: each record stores `lastActiveClock`.
+// { base, runningSince, checkpoint }: reading = base + (now - runningSince) while running.
+let agingClock = null;
+const IDLE_DETECTION_SECONDS = 5 * 60;
+const CLOCK_GAP_TOLERANCE_MS = 3 * MAINTENANCE_PERIOD_MINUTES * 60 * 1000; // longer silence = browser was closed
+
+// Schedule (schedule.js) - minutes until auto-delete and sleeping may run, cached per minute
+let autoActionWait = { minute: null, settings: null, minutes: 0 };
+
+// Focus tracking - the tab the user is looking at right now and since when. Ended by switching
+// tabs or windows, the browser losing focus, or the user going idle. Kept in session storage.
+let focusSession = null;      // { tabId, since }
+let lastFocusedTabId = null;  // refocusing the same tab (e.g. back from another app) isn't a new visit
+
+// Last rendered indicator per tab, kept in session storage so it survives service worker restarts
+let renderedIndicators = {};
+
+// The page's own favicon URL per tab, captured before we replace it. Restoring uses this
+// instead of anything stored in the page. Kept in session storage as well.
+let originalFavicons = {};
+
+// Fingerprint of the data URL we last put on each tab, so our own favicon changes aren't mistaken
+// for the page's. Kept in session storage as well (fingerprints, since the URLs are a few KB each).
+let appliedFavicons = {};
+
+// Decoded favicons by source URL, so re-rendering a tab doesn't fetch its favicon again
+const faviconBitmaps = new Map();
+const FAVICON_CACHE_SIZE = 100;
+
+// Tab color for an age: each stage's color is reached at the stage's minutes, blending in between.
+// Pass the tab's stages (getTabSettings) so domain rules and fresh values are used
+function getAgeColor(minutesInactive, stages) {
+  const index = getStageIndex(minutesInactive, stages);
+  if (index === 0 || minutesInactive > stages[stages.length - 1].minutes) {
+    return stages[index].color;
   }
   
-  return `hsl(${Math.round(hue)}, ${Math.round(saturation)}%, ${Math.round(lightness)}%)`;
+  const start = stages[index - 1].minutes;
+  const progress = quantizeProgress((minutesInactive - start) / (stages[index].minutes - start));
+  return mixColors(stages[index - 1].color, stages[index].color, progress);
+}
+
+// Snap gradient progress to COLOR_STEPS so the color only changes at predictable boundaries
+function quantizeProgress(progress) {
+  return Math.floor(progress * COLOR_STEPS) / COLOR_STEPS;
+}
+
+// Minutes after which a tab has aged all the way: the end of the last stage
+function getFullAgeMinutes(tabSettings) {
+  return tabSettings.stages[tabSettings.stages.length - 1].minutes;
 }
 
-// Convert HSL to hex for canvas operations
-function hslToHex(hslString) {
-  // Regex handles integers or decimals: hsl(140, 70%, 45%) or hsl(119.5, 73.1%, 46.0%)
-  const match = hslString.match(/hsl\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*\)/);
-  if (!match) {
-    console.error('[TabAge] Failed to parse HSL:', hslString);
-    return '#22c55e';
+// Progress towards the end of the last stage (0..1) for the 'pie' and 'fade' styles, snapped to PROGRESS_STEPS
+function getIndicatorProgress(minutesInactive, tabSettings) {
+  const progress = Math.min(1, minutesInactive / getFullAgeMinutes(tabSettings));
+  return Math.floor(progress * PROGRESS_STEPS) / PROGRESS_STEPS;
+}
+
+// Prefix added to document.title by the 'title' indicator style, e.g. "🟠 [3h] "
+function getTitlePrefix(minutesInactive, tabSettings, closing) {
+  const lastIndex = tabSettings.stages.length - 1;
+  const position = getStageIndex(minutesInactive, tabSettings.stages) / lastIndex;
+  const emoji = closing ? TITLE_PREFIX_CLOSING : TITLE_PREFIX_EMOJI[Math.round(position * (TITLE_PREFIX_EMOJI.length - 1))];
+  return `${emoji} [${getBadgeText(minutesInactive)}] `;
+}
+
+// Strip the 'title' style's prefix from a tab title. Chrome reports the prefixed document.title,
+// which must not leak into stored records, history, the archive or exports.
+const TITLE_PREFIX_PATTERN = new RegExp(`^(?:${[...TITLE_PREFIX_EMOJI, TITLE_PREFIX_CLOSING].join('|')}) \\[\\d+[hm]\\] `);
+function getCleanTitle(title) {
+  return typeof title === 'string' ? title.replace(TITLE_PREFIX_PATTERN, '') : title;
+}
+
+// Text shown by the 'badge' indicator style
+function getBadgeText(minutesInactive) {
+  const hours = Math.floor(minutesInactive / 60);
+  return hours > 0 ? `${hours}h` : `${Math.floor(minutesInactive)}m`;
+}
+
+// Minutes until a tab's indicator would look different (next color step or badge text change)
+function getMinutesUntilIndicatorChange(minutesInactive, tabSettings, style) {
+  const { stages } = tabSettings;
+  const fullAge = getFullAgeMinutes(tabSettings);
+  let next = Infinity;
+  
+  if (minutesInactive < stages[0].minutes) {
+    next = stages[0].minutes - minutesInactive;
+  } else if (minutesInactive < fullAge) {
+    // Inside the gradient between two stages - find the next color step
+    const index = stages.findIndex(stage => minutesInactive < stage.minutes);
+    const start = stages[index - 1].minutes;
+    const end = stages[index].minutes;
+    const stepLength = (end - start) / COLOR_STEPS;
+    const stepsDone = Math.floor((minutesInactive - start) / stepLength);
+    next = start + (stepsDone + 1) * stepLength - minutesInactive;
   }
   
-  const hDeg = parseFloat(match[1]);
-  const sPct = parseFloat(match[2]);
-  const lPct = parseFloat(match[3]);
+  // Age text changes every minute, then every hour
+  if (style === 'badge' || style === 'title') {
+    const unit = minutesInactive < 60 ? 1 : 60;
+    next = Math.min(next, unit - (minutesInactive % unit));
+  }
   
-  let h = hDeg / 360;
-  let s = sPct / 100;
-  let l = lPct / 100;
+  if ((style === 'pie' || style === 'fade') && minutesInactive < fullAge) {
+    const stepLength = fullAge / PROGRESS_STEPS;
+    next = Math.min(next, (Math.floor(minutesInactive / stepLength) + 1) * stepLength - minutesInactive);
+  }
   
-  let r, g, b;
-  if (s === 0) {
-    r = g = b = l;
-  } else {
-    const hue2rgb = (p, q, t) => {
-      if (t < 0) t += 1;
-      if (t > 1) t -= 1;
-      if (t < 1/6) return p + (q - p) * 6 * t;
-      if (t < 1/2) return q;
-      if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-      return p;
-    };
-    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-    const p = 2 * l - q;
-    r = hue2rgb(p, q, h + 1/3);
-    g = hue2rgb(p, q, h);
-    b = hue2rgb(p, q, h - 1/3);
+  return next;
+}
+
+// Check whether a URL matches a rule pattern.
+// Patterns are host globs ("*.atlassian.net", "jira.*") and may include a path ("google.com/search")
+function urlMatchesPattern(url, pattern) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
   }
   
-  const toHex = x => {
-    const hex = Math.round(x * 255).toString(16);
-    return hex.length === 1 ? '0' + hex : hex;
+  const cleaned = (pattern || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '');
+  if (!cleaned) return false;
+  
+  const hasPath = cleaned.includes('/');
+  const target = hasPath ? parsed.hostname + parsed.pathname : parsed.hostname;
+  const toRegex = glob => glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  
+  // Path patterns match as a prefix, host patterns must match the whole hostname
+  const regex = new RegExp('^' + toRegex(cleaned) + (hasPath ? '' : '$'));
+  if (regex.test(target.toLowerCase())) return true;
+  
+  // "*.example.com" should also cover the bare "example.com"
+  if (cleaned.startsWith('*.')) {
+    return new RegExp('^' + toRegex(cleaned.slice(2)) + (hasPath ? '' : '$')).test(target.toLowerCase());
+  }
+  return false;
+}
+
+// Find the first domain rule matching a URL
+function getRuleForUrl(url, rules) {
+  if (!url || !Array.isArray(rules)) return null;
+  return rules.find(rule => rule && rule.pattern && urlMatchesPattern(url, rule.pattern)) || null;
+}
+
+// Resolve the stages and thresholds that apply to a URL: rule overrides on top of the global settings.
+// Rules override stage times by stage name (rule.stageMinutes); stage colors come from the palette.
+function getTabSettings(url, currentSettings = settings) {
+  const rule = getRuleForUrl(url, currentSettings.domainRules);
+  const isOverride = (value) => Number.isFinite(value) && value > 0;
+  const pick = (key) => (rule && isOverride(rule[key])) ? rule[key] : currentSettings[key];
+  
+  const colors = getStageColors(currentSettings);
+  const overrides = (rule && rule.stageMinutes) || {};
+  let stages = currentSettings.stages.map((stage, i) => ({
+    name: stage.name,
+    minutes: isOverride(overrides[stage.name]) ? overrides[stage.name] : stage.minutes,
+    color: colors[i]
+  }));
+  
+  // Overrides that no longer fit between the global stages (e.g. after editing them) are ignored
+  if (stages.some((stage, i) => i > 0 && stage.minutes <= stages[i - 1].minutes)) {
+    stages = currentSettings.stages.map((stage, i) => ({ name: stage.name, minutes: stage.minutes, color: colors[i] }));
+  }
+  
+  return {
+    stages,
+    closeStageIndex: getCloseStageIndex(currentSettings),
+    autoDeleteThreshold: pick('autoDeleteThreshold'),
+    discardThreshold: pick('discardThreshold'),
+    mode: rule && RULE_MODES.includes(rule.mode) ? rule.mode : 'default',
+    pattern: rule ? rule.pattern : null
   };
+}
+
+// Normalize a URL for duplicate detection: drop the fragment and tracking parameters
+// (trackingParams entries may end in * to match a prefix, e.g. "utm_*")
+function normalizeUrl(url, trackingParams = settings.trackingParams) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
   
-  const result = `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-  console.log('[TabAge] HSL->Hex:', hslString, '->', result, '(h:', hDeg, 's:', sPct, 'l:', lPct, ')');
-  return result;
+  parsed.hash = '';
+  const patterns = (trackingParams || []).map(p => p.trim().toLowerCase()).filter(Boolean);
+  const isTracking = (name) => patterns.some(p =>
+    p.endsWith('*') ? name.toLowerCase().startsWith(p.slice(0, -1)) : name.toLowerCase() === p);
+  
+  [...parsed.searchParams.keys()].forEach(name => {
+    if (isTracking(name)) parsed.searchParams.delete(name);
+  });
+  
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.slice(0, -1);
+  }
+  return parsed.toString();
+}
+
+// Group open tabs by normalized URL; only groups with more than one tab are returned
+function findDuplicateGroups(tabs) {
+  const byUrl = new Map();
+  for (const tab of tabs) {
+    if (isRestrictedUrl(tab.url)) continue;
+    const key = normalizeUrl(tab.url);
+    if (!byUrl.has(key)) byUrl.set(key, []);
+    byUrl.get(key).push(tab);
+  }
+  return [...byUrl.values()].filter(group => group.length > 1);
+}
+
+// Bring settings saved before stages existed up to date: the fixed fresh/stale/old thresholds
+// (global and per domain rule) become three stages, and the custom palette becomes their colors.
+// Returns the settings unchanged when there's nothing to migrate.
+function migrateSettings(oldSettings) {
+  const legacyKeys = ['freshThreshold', 'staleThreshold', 'oldThreshold'];
+  if (!oldSettings || Array.isArray(oldSettings.stages) || !legacyKeys.some(key => key in oldSettings)) {
+    return oldSettings;
+  }
+  
+  const names = ['Fresh', 'Stale', 'Old'];
+  const colors = Array.isArray(oldSettings.customPalette) && oldSettings.customPalette.length === 3
+    ? oldSettings.customPalette
+    : PALETTES.default.stops;
+  const migrated = { ...oldSettings };
+  legacyKeys.forEach(key => delete migrated[key]);
+  delete migrated.customPalette;
+  
+  migrated.stages = legacyKeys.map((key, i) => ({
+    name: names[i],
+    minutes: Number.isFinite(oldSettings[key]) ? oldSettings[key] : DEFAULT_SETTINGS.stages[i].minutes,
+    color: colors[i]
+  }));
+  migrated.closeOldStage = 'Old';
+  
+  if (Array.isArray(oldSettings.domainRules)) {
+    migrated.domainRules = oldSettings.domainRules.map(rule => {
+      if (!rule || typeof rule !== 'object') return rule;
+      const migratedRule = { ...rule, stageMinutes: {} };
+      legacyKeys.forEach((key, i) => {
+        if (Number.isFinite(rule[key]) && rule[key] > 0) migratedRule.stageMinutes[names[i]] = rule[key];
+        delete migratedRule[key];
+      });
+      return migratedRule;
+    });
+  }
+  
+  return migrated;
 }
 
 // Initialize extension
 async function init() {
   // Load settings
-  const stored = await chrome.storage.local.get(['settings', 'tabData', 'deletedTabs']);
+  const stored = await chrome.storage.local.get(['settings', 'tabData', 'deletedTabs', 'snoozedTabs', 'agingClock', 'profiles', 'activeProfileId', 'profileSync', 'deletedProfileIds']);
   if (stored.settings) {
-    settings = { ...DEFAULT_SETTINGS, ...stored.settings };
-  }
-  if (stored.tabData) {
-    tabData = stored.tabData;
+    const migrated = migrateSettings(stored.settings);
+    settings = { ...DEFAULT_SETTINGS, ...migrated };
+    if (validateStages(settings.stages)) {
+      settings.stages = DEFAULT_SETTINGS.stages;
+    }
+    if (migrated !== stored.settings) {
+      await chrome.storage.local.set({ settings });
+    }
   }
+  await restoreProfiles(stored);
   if (stored.deletedTabs) {
     deletedTabs = stored.deletedTabs;
+    if (pruneDeletedHistory()) {
+      await saveDeletedTabs();
+    }
+  }
+  if (stored.snoozedTabs) {
+    snoozedTabs = stored.snoozedTabs;
+  }
+  
+  const session = await chrome.storage.session.get(['renderedIndicators', 'originalFavicons', 'appliedFavicons', 'ageGroupIds', 'renderedBadges', 'focusSession', 'lastFocusedTabId']);
+  renderedIndicators = session.renderedIndicators || {};
+  originalFavicons = session.originalFavicons || {};
+  appliedFavicons = session.appliedFavicons || {};
+  ageGroupIds = session.ageGroupIds || {};
+  renderedBadges = session.renderedBadges || {};
+  focusSession = session.focusSession || null;
+  lastFocusedTabId = session.lastFocusedTabId ?? null;
+  
+  // Alarms don't always survive a browser restart - reschedule or wake overdue snoozes
+  await restoreSnoozeAlarms();
+  
+  agingClock = restoreAgingClock(stored.agingClock, Date.now());
+  await saveAgingClock();
+  chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+  await syncAgingClockWithSchedule();
+  
+  // Records from before the aging clock existed: derive their clock reading from wall time
+  const storedTabData = stored.tabData || {};
+  for (const record of Object.values(storedTabData)) {
+    if (!Number.isFinite(record.lastActiveClock)) {
+      record.lastActiveClock = getClockNow() - (Date.now() - (record.lastActiveAt || Date.now()));
+    }
   }
   
-  // Initialize all existing tabs
+  // Initialize all existing tabs, re-associating restored tabs with their previous records
   const tabs = await chrome.tabs.query({});
-  const now = Date.now();
+  tabData = reconcileTabData(storedTabData, tabs, Date.now());
+  
+  // Pick up favicons we haven't seen yet. A data: URL may be an indicator left over from
+  // before a reload, so those tabs fall back to the browser's favicon cache instead.
+  tabs.forEach(tab => {
+    if (!originalFavicons[tab.id] && tab.favIconUrl && !tab.favIconUrl.startsWith('data:')) {
+      originalFavicons[tab.id] = tab.favIconUrl;
+    }
+  });
+  await saveRenderedIndicators();
+  
+  // After a browser restart there's no focus session yet - start one on the focused tab
+  if (!focusSession || !tabData[focusSession.tabId]) {
+    focusSession = null;
+    await focusActiveTab();
+  }
+  
+  await saveTabData();
+  
+  // Periodic sweep for auto-delete (alarms persist, so only create it when missing)
+  const maintenance = await chrome.alarms.get(MAINTENANCE_ALARM);
+  if (!maintenance) {
+    await chrome.alarms.create(MAINTENANCE_ALARM, { periodInMinutes: MAINTENANCE_PERIOD_MINUTES });
+  }
+  const statsAlarm = await chrome.alarms.get(STATS_ALARM);
+  if (!statsAlarm) {
+    await chrome.alarms.create(STATS_ALARM, { delayInMinutes: 1, periodInMinutes: STATS_SNAPSHOT_MINUTES });
+  }
+  await scheduleNextScheduleAlarm();
   
+  // Update all tab indicators and schedule the next change
+  await refreshAllIndicators();
+}
+
+// Match current tabs against stored records. Tab IDs change after a browser restart,
+// so records that don't match by ID are re-associated by URL, window and index position.
+// Records that can't be matched are dropped.
+function reconcileTabData(storedData, tabs, now) {
+  const result = {};
+  const unmatchedTabs = [];
+  const orphans = new Map(Object.entries(storedData));
+  
+  // Same session (e.g. service worker restart): IDs are still valid as long as the URL agrees
   for (const tab of tabs) {
-    if (!tabData[tab.id]) {
-      tabData[tab.id] = {
+    const record = storedData[tab.id];
+    const url = tab.url || tab.pendingUrl;
+    if (record && (!record.url || !url || record.url === url)) {
+      result[tab.id] = { ...record, windowId: tab.windowId, index: tab.index };
+      orphans.delete(String(tab.id));
+    } else {
+      unmatchedTabs.push(tab);
+    }
+  }
+  
+  // Map old window IDs to new ones by how many URLs they have in common
+  const pairScores = new Map();
+  for (const tab of unmatchedTabs) {
+    const url = tab.url || tab.pendingUrl;
+    for (const record of orphans.values()) {
+      if (record.url !== url || record.windowId === undefined) continue;
+      const key = `${record.windowId}:${tab.windowId}`;
+      pairScores.set(key, (pairScores.get(key) || 0) + 1);
+    }
+  }
+  
+  const windowMap = new Map();
+  const claimedWindows = new Set();
+  [...pairScores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([key]) => {
+      const [oldWindowId, newWindowId] = key.split(':');
+      if (windowMap.has(oldWindowId) || claimedWindows.has(newWindowId)) return;
+      windowMap.set(oldWindowId, newWindowId);
+      claimedWindows.add(newWindowId);
+    });
+  
+  // Claim the closest record with the same URL, preferring the mapped window
+  for (const tab of unmatchedTabs) {
+    const url = tab.url || tab.pendingUrl;
+    let best = null;
+    let bestScore = Infinity;
+    
+    for (const [key, record] of orphans) {
+      if (!url || record.url !== url) continue;
+      const sameWindow = windowMap.get(String(record.windowId)) === String(tab.windowId);
+      const indexDistance = Math.abs((record.index ?? tab.index) - tab.index);
+      const score = (sameWindow ? 0 : 10000) + indexDistance;
+      if (score < bestScore) {
+        best = key;
+        bestScore = score;
+      }
+    }
+    
+    // A warning from before the restart wasn't necessarily seen, so restored tabs are warned again
+    if (best !== null) {
+      const { warnedAt, ...record } = orphans.get(best);
+      result[tab.id] = { ...record, title: getCleanTitle(tab.title), windowId: tab.windowId, index: tab.index };
+      orphans.delete(best);
+    } else {
+      result[tab.id] = {
         createdAt: now,
-        lastActiveAt: tab.active ? now : now,
+        lastActiveAt: now,
+        lastActiveClock: getClockNow(now),
+        focusedMs: 0,
+        visits: 0,
         url: tab.url,
-        title: tab.title
+        title: getCleanTitle(tab.title),
+        windowId: tab.windowId,
+        index: tab.index
       };
     }
   }
   
-  await saveTabData();
+  if (orphans.size > 0) {
+    console.log('[TabAge] Pruned', orphans.size, 'orphaned tab records');
+  }
+  
+  return result;
+}
+
+// Load the stored aging clock. With pauseWhenIdle on, a gap since the last checkpoint means
+// the browser (or computer) was off - that time doesn't count either.
+function restoreAgingClock(storedClock, now) {
+  if (!storedClock) {
+    return { base: now, runningSince: now, checkpoint: now };
+  }
   
-  // Update all tab indicators
+  const clock = { ...storedClock };
+  if (settings.pauseWhenIdle && clock.runningSince !== null && now - clock.checkpoint > CLOCK_GAP_TOLERANCE_MS) {
+    clock.base += Math.max(0, clock.checkpoint - clock.runningSince);
+    clock.runningSince = now;
+    console.log('[TabAge] Aging paused for', Math.round((now - clock.checkpoint) / 60000), 'minutes while the browser was closed');
+  }
+  clock.checkpoint = now;
+  return clock;
+}
+
+// Current reading of the aging clock in ms
+function getClockNow(now = Date.now()) {
+  if (!agingClock) return now;
+  return agingClock.base + (agingClock.runningSince !== null ? now - agingClock.runningSince : 0);
+}
+
+// Minutes a tab has been inactive, measured on the aging clock
+function getTabAgeMinutes(data, now = Date.now()) {
+  return Math.max(0, getClockNow(now) - data.lastActiveClock) / (1000 * 60);
+}
+
+// Save the aging clock to storage
+async function saveAgingClock() {
+  await chrome.storage.local.set({ agingClock });
+}
+
+// Stop the aging clock. pausedSince back-dates the pause (idle is only detected after the detection interval).
+async function pauseAgingClock(pausedSince = Date.now()) {
+  if (!agingClock || agingClock.runningSince === null) return;
+  agingClock.base += Math.max(0, pausedSince - agingClock.runningSince);
+  agingClock.runningSince = null;
+  await saveAgingClock();
+  console.log('[TabAge] Aging paused');
+}
+
+// Restart the aging clock (unless it's frozen outside the working hours)
+async function resumeAgingClock() {
+  if (!agingClock || agingClock.runningSince !== null || isAgingFrozenAt(settings, new Date())) return;
+  agingClock.runningSince = Date.now();
+  agingClock.checkpoint = agingClock.runningSince;
+  await saveAgingClock();
+  console.log('[TabAge] Aging resumed');
+}
+
+// Pause or resume the clock to match the current idle state
+async function syncAgingClockWithIdleState() {
+  const state = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+  if (state === 'active') {
+    await resumeAgingClock();
+  } else {
+    await pauseAgingClock();
+  }
+}
+
+// Pause or resume the clock to match the working hours (with freezeAgingOffHours) and the idle state.
+// changedAt back-dates a freeze to the end of the working hours when the alarm comes late.
+async function syncAgingClockWithSchedule(changedAt = Date.now()) {
+  if (isAgingFrozenAt(settings, new Date(changedAt))) {
+    await pauseAgingClock(changedAt);
+  } else if (settings.pauseWhenIdle) {
+    await syncAgingClockWithIdleState();
+  } else {
+    await resumeAgingClock();
+  }
+}
+
+// Set the schedule alarm for the next time the schedule changes something. Alarms wake the
+// service worker, so schedules hold while it's suspended.
+async function scheduleNextScheduleAlarm() {
+  const next = settings.enabled && (settings.scheduleEnabled || settings.freezeAgingOffHours)
+    ? getNextScheduleChange(settings, new Date())
+    : null;
+  if (next) {
+    await chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+  } else {
+    await chrome.alarms.clear(SCHEDULE_ALARM);
+  }
+}
+
+// The schedule alarm: the working hours or a quiet block started or ended, or a sweep time came.
+// The aging clock follows the scheduled minute, but Chrome fires alarms missed during sleep on wake,
+// so auto-delete and sleeping only run if the schedule still allows them now.
+async function runScheduleAlarm(scheduledTime) {
+  await syncAgingClockWithSchedule(scheduledTime);
+  await warnBeforeAutoDelete();
+  const now = Date.now();
+  if (isAutoActionTime(settings, new Date(now))) {
+    if (settings.enabled && settings.autoDeleteEnabled) {
+      await autoDeleteOldTabs(now);
+    }
+    if (settings.enabled && settings.discardEnabled) {
+      await discardOldTabs(now);
+    }
+  }
   if (settings.enabled) {
+    await refreshAllIndicators();
+  }
+  await scheduleNextScheduleAlarm();
+}
+
+// Minutes until the schedule next lets auto-delete and sleeping run (0 while they may),
+// Infinity if it never does. Cached for the minute, since every tab asks.
+function getMinutesUntilAutoActions(now = Date.now()) {
+  if (!settings.scheduleEnabled) return 0;
+  const minute = Math.floor(now / 60000);
+  if (autoActionWait.minute !== minute || autoActionWait.settings !== settings) {
+    let minutes = 0;
+    if (!isAutoActionTime(settings, new Date(now))) {
+      const next = findScheduleMinute(new Date(now), date => isAutoActionTime(settings, date));
+      minutes = next ? (next.getTime() - now) / 60000 : Infinity;
+    }
+    autoActionWait = { minute, settings, minutes };
+  }
+  return autoActionWait.minutes;
+}
+
+// End the running focus session, adding its duration to the tab's focused time
+function endFocusSession(now = Date.now()) {
+  if (!focusSession) return;
+  const data = tabData[focusSession.tabId];
+  if (data) {
+    data.focusedMs = (data.focusedMs || 0) + Math.max(0, now - focusSession.since);
+  }
+  focusSession = null;
+}
+
+// Start counting focused time for a tab (ending any other session). Counts a visit
+// unless the tab was already the last one focused.
+function startFocusSession(tabId, now = Date.now()) {
+  if (focusSession?.tabId === tabId) return;
+  endFocusSession(now);
+  
+  const data = tabData[tabId];
+  if (!data) return;
+  if (lastFocusedTabId !== tabId) {
+    data.visits = (data.visits || 0) + 1;
+  }
+  focusSession = { tabId, since: now };
+  lastFocusedTabId = tabId;
+}
+
+// Focus the active tab of the focused window, or end focus if no browser window has focus
+async function focusActiveTab(windowId) {
+  const now = Date.now();
+  try {
+    const window = windowId !== undefined
+      ? await chrome.windows.get(windowId)
+      : await chrome.windows.getLastFocused();
+    // A tab activated in a background window (e.g. by another extension) doesn't take focus
+    if (!window.focused && windowId !== undefined) return;
+    const [tab] = window.focused ? await chrome.tabs.query({ active: true, windowId: window.id }) : [];
+    if (tab) {
+      startFocusSession(tab.id, now);
+    } else {
+      endFocusSession(now);
+    }
+  } catch (e) {
+    endFocusSession(now);
+  }
+  await saveFocusSession();
+}
+
+// Save the focus session to session storage
+async function saveFocusSession() {
+  await chrome.storage.session.set({ focusSession, lastFocusedTabId });
+}
+
+// Total focused time of a tab in ms, including the running session
+function getFocusedMs(tabId, now = Date.now()) {
+  const stored = tabData[tabId]?.focusedMs || 0;
+  return focusSession?.tabId === tabId ? stored + Math.max(0, now - focusSession.since) : stored;
+}
+
+// Record the current window and index of every tab in a window (used to match tabs after a restart)
+async function refreshTabPositions(windowId) {
+  try {
+    const tabs = await chrome.tabs.query({ windowId });
     for (const tab of tabs) {
-      await updateTabIndicator(tab.id);
+      if (tabData[tab.id]) {
+        tabData[tab.id].windowId = tab.windowId;
+        tabData[tab.id].index = tab.index;
+      }
+    }
+    await saveTabData();
+  } catch (e) {
+    // Window may already be gone
+  }
+}
+
+// Save tab data to storage
+async function saveTabData() {
+  await chrome.storage.local.set({ tabData });
+}
+
+// Save settings to storage
+async function saveSettings() {
+  await chrome.storage.local.set({ settings });
+}
+
+// Save deleted tabs to storage
+async function saveDeletedTabs() {
+  await chrome.storage.local.set({ deletedTabs });
+}
+
+// Merge a partial settings object into the current settings and persist it.
+// Indicators are re-rendered by the storage.onChanged listener.
+async function applySettings(partialSettings) {
+  const newSettings = { ...settings, ...partialSettings };
+  
+  // Sleeping must come before auto-delete while both are on (the options page checks times as they're typed)
+  if (newSettings.discardEnabled && newSettings.autoDeleteEnabled && newSettings.discardThreshold >= newSettings.autoDeleteThreshold) {
+    console.warn('[TabAge] Sleep time is not shorter than auto-delete - turning sleeping off');
+    newSettings.discardEnabled = false;
+  }
+  
+  // Update in-memory settings FIRST
+  settings = newSettings;
+  
+  // Persist to storage
+  await chrome.storage.local.set({ settings: newSettings });
+  await updateActiveProfile();
+  console.log('[TabAge] Settings saved - stages:', 
+    newSettings.stages.map(stage => `${stage.name} ${stage.minutes}`).join(', '),
+    'style:', newSettings.indicatorStyle);
+  
+  // If extension was disabled, restore all original favicons
+  if (newSettings.enabled === false) {
+    console.log('[TabAge] Extension disabled - restoring original favicons');
+    await restoreAllFavicons();
+  }
+}
+
+// Put every setting back to its default (the options page's "Reset to defaults")
+async function resetSettings() {
+  console.log('[TabAge] Resetting settings to defaults');
+  await applySettings(JSON.parse(JSON.stringify(DEFAULT_SETTINGS)));
+}
+
+// The part of a settings object that belongs in a profile: known keys only, always in the same
+// order, so two copies of the same settings compare equal as JSON
+function getProfileSettings(source = settings) {
+  const profileSettings = {};
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (key in source && !PROFILE_LOCAL_KEYS.includes(key)) profileSettings[key] = source[key];
+  });
+  return JSON.parse(JSON.stringify(profileSettings));
+}
+
+// Load the stored profiles, starting with a "Default" profile holding the current settings
+async function restoreProfiles(stored) {
+  profiles = Array.isArray(stored.profiles) ? stored.profiles : [];
+  profileSync = { enabled: false, error: null, ...stored.profileSync };
+  deletedProfileIds = Array.isArray(stored.deletedProfileIds) ? stored.deletedProfileIds : [];
+  if (profiles.length === 0) {
+    const now = Date.now();
+    profiles = [{ id: crypto.randomUUID(), name: 'Default', settings: getProfileSettings(), createdAt: now, updatedAt: now }];
+  }
+  activeProfileId = profiles.some(profile => profile.id === stored.activeProfileId) ? stored.activeProfileId : profiles[0].id;
+  
+  // Pick up what other machines changed while this one was off
+  if (profileSync.enabled) {
+    await pullSyncedProfiles();
+  }
+  await saveProfiles();
+}
+
+// Save profiles to storage, and to chrome.storage.sync shortly after when syncing
+async function saveProfiles() {
+  await chrome.storage.local.set({ profiles, activeProfileId, profileSync, deletedProfileIds });
+  if (profileSync.enabled) {
+    clearTimeout(syncWriteTimer);
+    syncWriteTimer = setTimeout(pushSyncedProfiles, SYNC_WRITE_DELAY_MS);
+  }
+}
+
+// Copy the current settings into the active profile (called whenever settings are saved)
+async function updateActiveProfile() {
+  const profile = profiles.find(p => p.id === activeProfileId);
+  if (!profile) return;
+  const profileSettings = getProfileSettings();
+  
+  // Unchanged, e.g. right after switching or applying a synced change - don't bounce it back to sync
+  if (JSON.stringify(profileSettings) === JSON.stringify(profile.settings)) return;
+  profile.settings = profileSettings;
+  profile.updatedAt = Date.now();
+  await saveProfiles();
+}
+
+// Summary of the profiles for the popup and the options page
+function getProfilesSummary() {
+  return {
+    profiles: profiles.map(({ id, name }) => ({ id, name })),
+    activeProfileId,
+    sync: profileSync,
+    maxProfiles: MAX_PROFILES,
+    maxNameLength: MAX_PROFILE_NAME_LENGTH
+  };
+}
+
+// Check a new profile name; returns an error message, or null if it's usable
+function validateProfileName(name, exceptId = null) {
+  if (typeof name !== 'string' || name.trim() === '') return 'Profile needs a name';
+  if (name.trim().length > MAX_PROFILE_NAME_LENGTH) return 'Profile name is too long';
+  const taken = profiles.some(p => p.id !== exceptId && p.name.toLowerCase() === name.trim().toLowerCase());
+  return taken ? `"${name.trim()}" already exists` : null;
+}
+
+// A usable name based on `name`: "Work", or "Work (2)", "Work (3)"... if that's taken
+function getUniqueProfileName(name, exceptId = null) {
+  const base = name.trim().slice(0, MAX_PROFILE_NAME_LENGTH) || 'Profile';
+  let candidate = base;
+  for (let n = 2; validateProfileName(candidate, exceptId); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, MAX_PROFILE_NAME_LENGTH - suffix.length).trimEnd() + suffix;
+  }
+  return candidate;
+}
+
+// Switch to another profile: its settings replace the current ones
+async function switchProfile(profileId) {
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile || profileId === activeProfileId) return;
+  
+  console.log(`[TabAge] Switching to profile "${profile.name}"`);
+  activeProfileId = profileId;
+  await saveProfiles();
+  // Keys the profile predates fall back to their defaults rather than to the previous profile's values
+  await applySettings({ ...getProfileSettings(DEFAULT_SETTINGS), ...profile.settings });
+}
+
+// Save the current settings as a new profile and switch to it. Returns an error message or null.
+async function createProfile(name) {
+  const error = profiles.length >= MAX_PROFILES
+    ? `At most ${MAX_PROFILES} profiles are allowed`
+    : validateProfileName(name);
+  if (error) return error;
+  
+  const now = Date.now();
+  const profile = { id: crypto.randomUUID(), name: name.trim(), settings: getProfileSettings(), createdAt: now, updatedAt: now };
+  profiles.push(profile);
+  activeProfileId = profile.id;
+  await saveProfiles();
+  return null;
+}
+
+// Rename a profile. Returns an error message or null.
+async function renameProfile(profileId, name) {
+  const profile = profiles.find(p => p.id === profileId);
+  if (!profile) return 'Profile not found';
+  const error = validateProfileName(name, profileId);
+  if (error) return error;
+  
+  profile.name = name.trim();
+  profile.updatedAt = Date.now();
+  await saveProfiles();
+  return null;
+}
+
+// Delete a profile (never the last one). Deleting the active profile switches to the first remaining one.
+async function deleteProfile(profileId) {
+  if (profiles.length <= 1 || !profiles.some(p => p.id === profileId)) return;
+  profiles = profiles.filter(p => p.id !== profileId);
+  deletedProfileIds.push(profileId);
+  
+  if (profileId === activeProfileId) {
+    activeProfileId = null;
+    await switchProfile(profiles[0].id);
+  } else {
+    await saveProfiles();
+  }
+}
+
+// Turn profile sync on or off. Turning it on first merges in the profiles already in sync.
+async function setProfileSync(enabled) {
+  profileSync = { enabled, error: null };
+  if (enabled) {
+    await pullSyncedProfiles();
+  } else {
+    clearTimeout(syncWriteTimer);
+  }
+  await saveProfiles();
+}
+
+// Merge profiles read from chrome.storage.sync into ours; the more recently updated copy wins.
+// Profiles that don't fit under MAX_PROFILES stay in sync and are reported. Two profiles with the
+// same name (every machine starts with a "Default") keep the older one's name, the newer is renamed
+// - every machine picks the same one. If the active profile changed, its settings are applied.
+// Returns whether a profile was renamed, which needs to be synced back.
+async function mergeSyncedProfiles(items) {
+  let activeChanged = false;
+  let overflow = 0;
+  
+  for (const [key, item] of Object.entries(items)) {
+    if (!key.startsWith(SYNC_PROFILE_PREFIX) || !item || typeof item.name !== 'string' || !item.settings) continue;
+    const id = key.slice(SYNC_PROFILE_PREFIX.length);
+    if (deletedProfileIds.includes(id)) continue;
+    const local = profiles.find(p => p.id === id);
+    if (local && local.updatedAt >= item.updatedAt) continue;
+    
+    const errors = [];
+    const profile = {
+      id,
+      name: item.name.slice(0, MAX_PROFILE_NAME_LENGTH),
+      settings: getProfileSettings({ ...DEFAULT_SETTINGS, ...validateSettings(item.settings, errors) }),
+      createdAt: Number.isFinite(item.createdAt) ? item.createdAt : Date.now(),
+      updatedAt: Number.isFinite(item.updatedAt) ? item.updatedAt : Date.now()
+    };
+    if (errors.length > 0) console.warn(`[TabAge] Synced profile "${profile.name}":`, errors.join('; '));
+    
+    if (local) {
+      Object.assign(local, profile);
+    } else if (profiles.length < MAX_PROFILES) {
+      profiles.push(profile);
+    } else {
+      overflow++;
+    }
+    if (id === activeProfileId) activeChanged = true;
+  }
+  
+  profiles.sort((a, b) => a.createdAt - b.createdAt || a.id.localeCompare(b.id));
+  let renamed = false;
+  profiles.forEach((profile, i) => {
+    const name = profile.name.trim().toLowerCase();
+    if (name && !profiles.slice(0, i).some(p => p.name.toLowerCase() === name)) return;
+    profile.name = getUniqueProfileName(profile.name, profile.id);
+    profile.updatedAt = Date.now();
+    renamed = true;
+  });
+  if (overflow > 0) {
+    profileSync.error = getSyncOverflowError(overflow);
+  }
+  
+  if (activeChanged) {
+    const active = profiles.find(p => p.id === activeProfileId);
+    await applySettings({ ...getProfileSettings(DEFAULT_SETTINGS), ...active.settings });
+  }
+  return renamed;
+}
+
+// Message for synced profiles that didn't fit
+function getSyncOverflowError(count) {
+  return `${count} synced profile${count === 1 ? '' : 's'} didn't fit (at most ${MAX_PROFILES}) - delete profiles here to make room`;
+}
+
+// Read every synced profile and merge it into ours
+async function pullSyncedProfiles() {
+  try {
+    await mergeSyncedProfiles(await chrome.storage.sync.get(null));
+  } catch (e) {
+    console.warn('[TabAge] Could not read synced profiles:', e);
+    profileSync.error = e.message;
+  }
+}
+
+// Write our profiles to chrome.storage.sync: one item per profile, only the ones that changed.
+// Profiles over the per-item quota (usually from many domain rules) stay local and are reported,
+// as are synced profiles that didn't fit here. Only profiles deleted here are removed from sync.
+async function pushSyncedProfiles() {
+  if (!profileSync.enabled) return;
+  const errors = [];
+  
+  try {
+    const synced = await chrome.storage.sync.get(null);
+    const changed = {};
+    profiles.forEach(({ id, name, settings: profileSettings, createdAt, updatedAt }) => {
+      const key = SYNC_PROFILE_PREFIX + id;
+      const item = { name, settings: profileSettings, createdAt, updatedAt };
+      const json = JSON.stringify(item);
+      if (key.length + new TextEncoder().encode(json).length > chrome.storage.sync.QUOTA_BYTES_PER_ITEM) {
+        errors.push(`"${name}" is too large to sync - try fewer domain rules`);
+      } else if (json !== JSON.stringify(synced[key])) {
+        changed[key] = item;
+      }
+    });
+    
+    // Profiles deleted here are deleted everywhere; any other synced profile we lack didn't fit
+    const removed = deletedProfileIds.map(id => SYNC_PROFILE_PREFIX + id).filter(key => key in synced);
+    const overflow = Object.keys(synced).filter(key =>
+      key.startsWith(SYNC_PROFILE_PREFIX) && !removed.includes(key) && !profiles.some(p => SYNC_PROFILE_PREFIX + p.id === key)
+    ).length;
+    if (overflow > 0) errors.push(getSyncOverflowError(overflow));
+    
+    if (Object.keys(changed).length > 0) await chrome.storage.sync.set(changed);
+    if (removed.length > 0) await chrome.storage.sync.remove(removed);
+    if (deletedProfileIds.length > 0) {
+      deletedProfileIds = [];
+      await chrome.storage.local.set({ deletedProfileIds });
+    }
+  } catch (e) {
+    // Usually a write quota; the next change tries again
+    console.warn('[TabAge] Could not sync profiles:', e);
+    errors.push(e.message);
+  }
+  
+  const error = errors.length > 0 ? errors.join('; ') : null;
+  if (error !== profileSync.error) {
+    profileSync.error = error;
+    await chrome.storage.local.set({ profileSync });
+  }
+}
+
+// Apply profile changes made on another machine
+async function applySyncedProfileChanges(changes) {
+  const updated = {};
+  let removedActive = false;
+  
+  for (const [key, change] of Object.entries(changes)) {
+    if (!key.startsWith(SYNC_PROFILE_PREFIX)) continue;
+    if (change.newValue) {
+      updated[key] = change.newValue;
+      continue;
+    }
+    const id = key.slice(SYNC_PROFILE_PREFIX.length);
+    if (profiles.length > 1 && profiles.some(p => p.id === id)) {
+      profiles = profiles.filter(p => p.id !== id);
+      if (id === activeProfileId) removedActive = true;
+    }
+  }
+  
+  const renamed = await mergeSyncedProfiles(updated);
+  if (removedActive) {
+    activeProfileId = null;
+    await switchProfile(profiles[0].id);
+  } else if (renamed) {
+    await saveProfiles();
+  } else {
+    await chrome.storage.local.set({ profiles, activeProfileId });
+  }
+}
+
+// Build the full-fidelity export object
+function buildExport() {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: Date.now(),
+    settings,
+    tabData,
+    deletedTabs,
+    snoozedTabs
+  };
+}
+
+// Keep only known settings with the same type as their default value, in range and with usable
+// stages, rules and tracking parameters, adding a message to errors for each one dropped.
+// Used for imports and synced profiles.
+function validateSettings(rawSettings, errors) {
+  const valid = {};
+  for (const [key, value] of Object.entries(migrateSettings(rawSettings))) {
+    if (!(key in DEFAULT_SETTINGS)) continue;
+    const expected = DEFAULT_SETTINGS[key];
+    const typeMatches = Array.isArray(expected) ? Array.isArray(value) : typeof value === typeof expected;
+    if (!typeMatches || (typeof value === 'number' && !Number.isFinite(value))) {
+      errors.push(`settings.${key} has the wrong type`);
+      continue;
+    }
+    if (typeof value === 'number' && (POSITIVE_SETTINGS.includes(key) ? value <= 0 : value < 0)) {
+      errors.push(`settings.${key} is out of range`);
+      continue;
+    }
+    const choices = key === 'palette' ? [...Object.keys(PALETTES), 'custom'] : SETTING_CHOICES[key];
+    if (choices && !choices.includes(value)) {
+      errors.push(`settings.${key} has an unknown value "${value}"`);
+      continue;
+    }
+    valid[key] = value;
+  }
+  
+  // Sleeping must come before auto-delete while both are on
+  const merged = { ...DEFAULT_SETTINGS, ...valid };
+  if (merged.discardEnabled && merged.autoDeleteEnabled && merged.discardThreshold >= merged.autoDeleteThreshold) {
+    errors.push('settings.discardThreshold must be shorter than settings.autoDeleteThreshold');
+    delete valid.discardThreshold;
+  }
+  
+  const stagesError = valid.stages && validateStages(valid.stages);
+  if (stagesError) {
+    errors.push(`settings.stages: ${stagesError}`);
+    delete valid.stages;
+  }
+  
+  if (valid.domainRules) {
+    valid.domainRules = valid.domainRules.filter((rule, i) => {
+      const error = validateDomainRule(rule);
+      if (error) errors.push(`settings.domainRules[${i}] ${error}`);
+      return !error;
+    });
+  }
+  // A bad schedule entry rejects the whole setting, so the schedule is never half-applied
+  for (const key of ['scheduleStart', 'scheduleEnd']) {
+    if (key in valid && !isClockTime(valid[key])) {
+      errors.push(`settings.${key} is not an HH:MM time`);
+      delete valid[key];
+    }
+  }
+  if (valid.scheduleDays && !valid.scheduleDays.every(isWeekday)) {
+    errors.push('settings.scheduleDays must only hold days 0-6');
+    delete valid.scheduleDays;
+  }
+  if (valid.scheduleSweepTimes && !valid.scheduleSweepTimes.every(isClockTime)) {
+    errors.push('settings.scheduleSweepTimes must only hold HH:MM times');
+    delete valid.scheduleSweepTimes;
+  }
+  if (valid.scheduleBlocks) {
+    const blockErrors = valid.scheduleBlocks
+      .map((block, i) => [i, validateScheduleBlock(block)])
+      .filter(([, error]) => error);
+    if (blockErrors.length > 0) {
+      blockErrors.forEach(([i, error]) => errors.push(`settings.scheduleBlocks[${i}] ${error}`));
+      delete valid.scheduleBlocks;
+    }
+  }
+  
+  if (valid.trackingParams) {
+    valid.trackingParams = valid.trackingParams.filter((param, i) => {
+      if (typeof param !== 'string') errors.push(`settings.trackingParams[${i}] is not a string`);
+      return typeof param === 'string';
+    });
+  }
+  return valid;
+}
+
+// Check the shape of an imported or synced domain rule; returns an error message or null
+function validateDomainRule(rule) {
+  const isTime = (value) => value === undefined || (Number.isFinite(value) && value > 0);
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return 'is not an object';
+  if (typeof rule.pattern !== 'string') return 'needs a pattern';
+  if (rule.mode !== undefined && !RULE_MODES.includes(rule.mode)) return `has an unknown mode "${rule.mode}"`;
+  if (!isTime(rule.autoDeleteThreshold)) return 'has an invalid auto-delete time';
+  if (!isTime(rule.discardThreshold)) return 'has an invalid sleep time';
+  if (rule.stageMinutes !== undefined) {
+    if (!rule.stageMinutes || typeof rule.stageMinutes !== 'object' || Array.isArray(rule.stageMinutes)) return 'has invalid stage times';
+    if (!Object.values(rule.stageMinutes).every(isTime)) return 'has invalid stage times';
+  }
+  return null;
+}
+
+// Whether a value is a day of the week, 0 = Sunday
+function isWeekday(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 6;
+}
+
+// Whether a value is an "HH:MM" time
+function isClockTime(value) {
+  return typeof value === 'string' && parseClockTime(value) !== null;
+}
+
+// Check the shape of an imported or synced quiet block; returns an error message or null
+function validateScheduleBlock(block) {
+  if (!block || typeof block !== 'object' || Array.isArray(block)) return 'is not an object';
+  if (!Array.isArray(block.days) || block.days.length === 0 || !block.days.every(isWeekday)) return 'needs days 0-6';
+  if (!isClockTime(block.start) || !isClockTime(block.end)) return 'needs HH:MM start and end times';
+  return null;
+}
+
+// Imported history ends up in the popup's links and images: only web pages and inline images
+function isImportableUrl(value) {
+  return typeof value === 'string' && /^(https?:|data:image\/)/i.test(value);
+}
+
+// Validate an import file. Returns { errors, settings, deletedTabs } with only the usable parts.
+function validateImport(data) {
+  const errors = [];
+  const result = { errors, settings: null, deletedTabs: [] };
+  
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('File is not a JSON object');
+    return result;
+  }
+  if (data.format !== EXPORT_FORMAT) {
+    errors.push('Not a Tab Age Tracker export');
+    return result;
+  }
+  if (!Number.isInteger(data.version) || data.version > EXPORT_VERSION) {
+    errors.push(`Unsupported export version: ${data.version}`);
+    return result;
+  }
+  
+  // Settings: only known keys, with the same type as the default value
+  if (data.settings !== undefined) {
+    if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+      errors.push('settings must be an object');
+    } else {
+      result.settings = validateSettings(data.settings, errors);
+    }
+  }
+  
+  // Deleted tab history: entries need at least a URL and a deletion time
+  if (data.deletedTabs !== undefined) {
+    if (!Array.isArray(data.deletedTabs)) {
+      errors.push('deletedTabs must be an array');
+    } else {
+      data.deletedTabs.forEach((entry, i) => {
+        if (!entry || typeof entry.url !== 'string' || !Number.isFinite(entry.deletedAt)) {
+          errors.push(`deletedTabs[${i}] is missing url or deletedAt`);
+          return;
+        }
+        if (!isImportableUrl(entry.url)) {
+          errors.push(`deletedTabs[${i}] has an unsupported url`);
+          return;
+        }
+        result.deletedTabs.push({
+          id: Number.isFinite(entry.id) ? entry.id : entry.deletedAt,
+          url: entry.url,
+          title: typeof entry.title === 'string' ? entry.title : 'Untitled',
+          favicon: isImportableUrl(entry.favicon) ? entry.favicon : '',
+          deletedAt: entry.deletedAt,
+          lastActiveAt: Number.isFinite(entry.lastActiveAt) ? entry.lastActiveAt : entry.deletedAt,
+          autoDeleted: entry.autoDeleted === true,
+          batchId: typeof entry.batchId === 'string' ? entry.batchId : null,
+          source: HISTORY_SOURCES.includes(entry.source) ? entry.source : (entry.autoDeleted === true ? 'autoDelete' : 'manual')
+        });
+      });
+    }
+  }
+  
+  return result;
+}
+
+// Import a validated export: merge history without duplicates, then apply settings
+async function importData(data) {
+  const { errors, settings: importedSettings, deletedTabs: importedHistory } = validateImport(data);
+  if (!importedSettings && importedHistory.length === 0) {
+    return { success: false, errors };
+  }
+  
+  const seen = new Set(deletedTabs.map(t => `${t.url}|${t.deletedAt}`));
+  const usedIds = new Set(deletedTabs.map(t => t.id));
+  let added = 0;
+  
+  for (const entry of importedHistory) {
+    const key = `${entry.url}|${entry.deletedAt}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    
+    // Keep history IDs unique, they are used to reopen/remove entries
+    while (usedIds.has(entry.id)) entry.id++;
+    usedIds.add(entry.id);
+    
+    deletedTabs.push(entry);
+    added++;
+  }
+  
+  deletedTabs.sort((a, b) => b.deletedAt - a.deletedAt);
+  pruneDeletedHistory();
+  await saveDeletedTabs();
+  
+  if (importedSettings && Object.keys(importedSettings).length > 0) {
+    await applySettings(importedSettings);
+  }
+  
+  return { success: true, errors, historyAdded: added, settingsApplied: !!importedSettings };
+}
+
+// New history entry ID: the current time, bumped past existing IDs so entries saved
+// in the same millisecond (batch closes) don't collide
+function nextHistoryId() {
+  const maxId = deletedTabs.reduce((max, entry) => Math.max(max, entry.id), 0);
+  return Math.max(Date.now(), maxId + 1);
+}
+
+// ID shared by all history entries closed in one operation (one Close Old run, one sweep...)
+function createBatchId() {
+  return crypto.randomUUID();
+}
+
+// Apply the retention settings. Returns true if anything was dropped.
+function pruneDeletedHistory() {
+  const before = deletedTabs.length;
+  if (settings.historyMaxAgeDays > 0) {
+    const cutoff = Date.now() - settings.historyMaxAgeDays * 24 * 60 * 60 * 1000;
+    deletedTabs = deletedTabs.filter(entry => entry.deletedAt >= cutoff);
+  }
+  if (deletedTabs.length > settings.historyMaxEntries) {
+    deletedTabs = deletedTabs.slice(0, settings.historyMaxEntries);
+  }
+  return deletedTabs.length !== before;
+}
+
+// Save tab to deleted history before closing. Pass the same batchId for tabs closed together.
+async function saveToDeletedHistory(tab, tabInfo, { source = 'manual', batchId = null } = {}) {
+  const now = Date.now();
+  const historyEntry = {
+    id: nextHistoryId(),
+    url: tab.url,
+    title: getCleanTitle(tab.title) || 'Untitled',
+    favicon: getOriginalFavicon(tab),
+    deletedAt: now,
+    lastActiveAt: tabInfo?.lastActiveAt || now,
+    autoDeleted: source === 'autoDelete',
+    source,
+    batchId,
+    windowId: tab.windowId,   // original position, used to undo a batch close
+    index: tab.index,
+    pinned: !!tab.pinned
+  };
+  
+  // Add to beginning of array, then apply the size and age limits
+  deletedTabs.unshift(historyEntry);
+  pruneDeletedHistory();
+  
+  await saveDeletedTabs();
+  return historyEntry;
+}
+
+// Reopen history entries and drop them from the history.
+// inPlace puts the tabs back at their original window and index; closed windows are recreated.
+async function restoreHistoryEntries(entries, { inPlace = false } = {}) {
+  if (inPlace) {
+    const openWindows = new Set((await chrome.windows.getAll()).map(w => w.id));
+    const recreatedWindows = new Map();
+    
+    // Lowest index first, so every tab lands where it was
+    const ordered = [...entries].sort((a, b) => (a.index ?? Infinity) - (b.index ?? Infinity));
+    for (const entry of ordered) {
+      const windowId = openWindows.has(entry.windowId) ? entry.windowId : recreatedWindows.get(entry.windowId);
+      if (windowId === undefined && entry.windowId !== undefined) {
+        const window = await chrome.windows.create({ url: entry.url, focused: false });
+        recreatedWindows.set(entry.windowId, window.id);
+        continue;
+      }
+      await chrome.tabs.create({ url: entry.url, windowId, index: entry.index, pinned: !!entry.pinned, active: false });
+    }
+  } else {
+    for (const entry of entries) {
+      await chrome.tabs.create({ url: entry.url, active: entries.length === 1 });
+    }
+  }
+  
+  // By ID: same-URL tabs in a batch each reopen, and older closes of those URLs stay in the history
+  const ids = new Set(entries.map(entry => entry.id));
+  deletedTabs = deletedTabs.filter(t => !ids.has(t.id));
+  await saveDeletedTabs();
+  return entries.length;
+}
+
+// Undo a batch close: reopen its tabs where they were
+async function undoBatch(batchId) {
+  const entries = deletedTabs.filter(t => t.batchId === batchId);
+  await chrome.notifications.clear(UNDO_NOTIFICATION_PREFIX + batchId);
+  if (entries.length === 0) return 0;
+  return restoreHistoryEntries(entries, { inPlace: true });
+}
+
+// Undo the most recent close - its whole batch, or the single tab if it wasn't part of one
+async function undoLastClose() {
+  const last = deletedTabs[0];
+  if (!last) return 0;
+  if (last.batchId) {
+    return undoBatch(last.batchId);
+  }
+  return restoreHistoryEntries([last], { inPlace: true });
+}
+
+// Show "Closed N tabs" with an Undo button after a batch close
+async function notifyBatchClosed(batchId, count, source) {
+  if (count === 0) return;
+  const labels = {
+    closeOld: 'Close Old',
+    autoDelete: 'Auto-delete',
+    duplicates: 'Merged duplicates',
+    bulk: 'Closed from the popup'
+  };
+  
+  try {
+    await chrome.notifications.create(UNDO_NOTIFICATION_PREFIX + batchId, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: `Closed ${count} tab${count === 1 ? '' : 's'}`,
+      message: `${labels[source] || 'Closed'} - the tabs are in History.`,
+      buttons: [{ title: 'Undo' }]
+    });
+  } catch (e) {
+    console.error('[TabAge] Failed to show undo notification:', e);
+  }
+}
+
+// Load the stored close counters the first time they're needed
+async function loadCloseCounters() {
+  if (!closeCountersLoaded) {
+    closeCountersLoaded = chrome.storage.local.get(['closeCounters']).then(stored => {
+      closeCounters = stored.closeCounters || { manual: 0, auto: 0 };
+    });
+  }
+  await closeCountersLoaded;
+}
+
+// Count a closed tab since the last stats snapshot (stored, the service worker may restart in between)
+async function countClosedTab(autoDeleted) {
+  await loadCloseCounters();
+  closeCounters[autoDeleted ? 'auto' : 'manual']++;
+  await chrome.storage.local.set({ closeCounters });
+}
+
+// Record a stats snapshot: open tabs per stage (in stage order) and tabs closed since the previous snapshot
+async function recordStatsSnapshot() {
+  const tabs = await chrome.tabs.query({});
+  const now = Date.now();
+  const snapshot = {
+    t: now,
+    total: tabs.length,
+    stageCounts: settings.stages.map(() => 0),
+    closedManual: 0,
+    closedAuto: 0
+  };
+  
+  for (const tab of tabs) {
+    const data = tabData[tab.id];
+    const minutes = data ? getTabAgeMinutes(data, now) : 0;
+    snapshot.stageCounts[getStageIndex(minutes, getTabSettings(tab.url).stages)]++;
+  }
+  
+  // Take the counts and start over in one step, so nothing counted meanwhile is lost
+  await loadCloseCounters();
+  snapshot.closedManual = closeCounters.manual;
+  snapshot.closedAuto = closeCounters.auto;
+  closeCounters = { manual: 0, auto: 0 };
+  
+  const stored = await chrome.storage.local.get(['statsHistory']);
+  
+  const cutoff = now - STATS_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const statsHistory = (stored.statsHistory || []).filter(s => s.t >= cutoff);
+  statsHistory.push(snapshot);
+  
+  await chrome.storage.local.set({ statsHistory, closeCounters });
+}
+
+// Open the archive database, creating the store on first use
+function openArchiveDb() {
+  if (!archiveDbPromise) {
+    archiveDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(ARCHIVE_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('archivedAt', 'archivedAt');
+        store.createIndex('tags', 'tags', { multiEntry: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        archiveDbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return archiveDbPromise;
+}
+
+// Run fn(store) in one archive transaction. Resolves once it commits with the result
+// of the request (or array of requests) fn returned.
+async function archiveTransaction(mode, fn) {
+  const db = await openArchiveDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ARCHIVE_STORE, mode);
+    const requests = fn(tx.objectStore(ARCHIVE_STORE));
+    tx.oncomplete = () => resolve(Array.isArray(requests) ? requests.map(r => r.result) : requests?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Clean up user-entered tags: trimmed, lowercase, no leading '#', no duplicates
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().replace(/^#+/, '').toLowerCase()).filter(Boolean))];
+}
+
+// Save tabs to the archive and close them. Returns the number of archived tabs.
+async function archiveTabs(tabs, tags = [], note = '') {
+  const archivable = tabs.filter(tab => !isRestrictedUrl(tab.url));
+  if (archivable.length === 0) return 0;
+  
+  const now = Date.now();
+  const cleanTags = normalizeTags(tags);
+  await archiveTransaction('readwrite', store => archivable.map(tab => store.add({
+    url: tab.url,
+    title: getCleanTitle(tab.title) || 'Untitled',
+    favicon: getOriginalFavicon(tab),
+    archivedAt: now,
+    tags: cleanTags,
+    note: String(note || '')
+  })));
+  
+  await chrome.tabs.remove(archivable.map(t => t.id));
+  console.log('[TabAge] Archived', archivable.length, 'tabs');
+  return archivable.length;
+}
+
+// All archive entries, newest first
+async function getArchiveEntries() {
+  const entries = await archiveTransaction('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.archivedAt - a.archivedAt);
+}
+
+// Replace the tags and/or note of an archive entry
+async function updateArchiveEntry(id, changes) {
+  await archiveTransaction('readwrite', store => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (!request.result) return;
+      const entry = { ...request.result };
+      if (changes.tags !== undefined) entry.tags = normalizeTags(changes.tags);
+      if (changes.note !== undefined) entry.note = String(changes.note);
+      store.put(entry);
+    };
+    return request;
+  });
+}
+
+// Delete archive entries
+async function removeArchiveEntries(ids) {
+  await archiveTransaction('readwrite', store => ids.map(id => store.delete(id)));
+}
+
+// Open archive entries in background tabs (they stay in the archive)
+async function openArchiveEntries(ids) {
+  const entries = await archiveTransaction('readonly', store => ids.map(id => store.get(id)));
+  for (const entry of entries) {
+    if (entry) {
+      await chrome.tabs.create({ url: entry.url, active: false });
+    }
+  }
+}
+
+// Save snoozed tabs to storage
+async function saveSnoozedTabs() {
+  await chrome.storage.local.set({ snoozedTabs });
+}
+
+// Resolve a snooze option ('later', 'tomorrow', 'nextWeek' or 'custom') to a wake-up timestamp
+function getSnoozeWakeTime(option, customMinutes) {
+  const now = new Date();
+  
+  if (option === 'later') {
+    return now.getTime() + SNOOZE_LATER_TODAY_HOURS * 60 * 60 * 1000;
+  }
+  
+  if (option === 'tomorrow') {
+    const wake = new Date(now);
+    wake.setDate(wake.getDate() + 1);
+    wake.setHours(SNOOZE_MORNING_HOUR, 0, 0, 0);
+    return wake.getTime();
+  }
+  
+  if (option === 'nextWeek') {
+    // Next Monday morning
+    const wake = new Date(now);
+    const daysUntilMonday = ((8 - wake.getDay()) % 7) || 7;
+    wake.setDate(wake.getDate() + daysUntilMonday);
+    wake.setHours(SNOOZE_MORNING_HOUR, 0, 0, 0);
+    return wake.getTime();
+  }
+  
+  if (option === 'custom' && Number.isFinite(customMinutes) && customMinutes > 0) {
+    return now.getTime() + customMinutes * 60 * 1000;
+  }
+  
+  return null;
+}
+
+// Close a tab and schedule it to reopen at wakeAt
+async function snoozeTab(tabId, wakeAt) {
+  const tab = await chrome.tabs.get(tabId);
+  if (!tab.url) return null;
+  
+  const entry = {
+    id: nextSnoozeId(),
+    url: tab.url,
+    title: getCleanTitle(tab.title) || 'Untitled',
+    favicon: getOriginalFavicon(tab),
+    windowId: tab.windowId,
+    snoozedAt: Date.now(),
+    wakeAt
+  };
+  
+  snoozedTabs.push(entry);
+  snoozedTabs.sort((a, b) => a.wakeAt - b.wakeAt);
+  await saveSnoozedTabs();
+  
+  await chrome.alarms.create(SNOOZE_ALARM_PREFIX + entry.id, { when: wakeAt });
+  await chrome.tabs.remove(tabId);
+  console.log('[TabAge] Snoozed tab until', new Date(wakeAt).toLocaleString(), '-', entry.title);
+  return entry;
+}
+
+// Unique snoozed entry ID (also the alarm name suffix), even for tabs snoozed in the same millisecond
+function nextSnoozeId() {
+  const maxId = snoozedTabs.reduce((max, entry) => Math.max(max, entry.id), 0);
+  return Math.max(Date.now(), maxId + 1);
+}
+
+// Reopen a snoozed tab and drop it from the snoozed list
+async function wakeSnoozedTab(entryId) {
+  const entry = snoozedTabs.find(t => t.id === entryId);
+  if (!entry) return;
+  
+  snoozedTabs = snoozedTabs.filter(t => t.id !== entryId);
+  await saveSnoozedTabs();
+  await chrome.alarms.clear(SNOOZE_ALARM_PREFIX + entryId);
+  
+  try {
+    await chrome.tabs.create({ url: entry.url, windowId: entry.windowId, active: false });
+  } catch (e) {
+    // Original window is gone, open in the current one
+    await chrome.tabs.create({ url: entry.url, active: false });
+  }
+}
+
+// Cancel a snooze without reopening; the tab goes to the deleted history so it can still be recovered
+async function cancelSnooze(entryId) {
+  const entry = snoozedTabs.find(t => t.id === entryId);
+  if (!entry) return;
+  
+  snoozedTabs = snoozedTabs.filter(t => t.id !== entryId);
+  await saveSnoozedTabs();
+  await chrome.alarms.clear(SNOOZE_ALARM_PREFIX + entryId);
+  await saveToDeletedHistory({ url: entry.url, title: entry.title, favIconUrl: entry.favicon }, null, { source: 'snooze' });
+}
+
+// Make sure every snoozed tab has a pending alarm; wake the ones that are overdue
+async function restoreSnoozeAlarms() {
+  const now = Date.now();
+  for (const entry of [...snoozedTabs]) {
+    if (entry.wakeAt <= now) {
+      await wakeSnoozedTab(entry.id);
+      continue;
+    }
+    const alarm = await chrome.alarms.get(SNOOZE_ALARM_PREFIX + entry.id);
+    if (!alarm) {
+      await chrome.alarms.create(SNOOZE_ALARM_PREFIX + entry.id, { when: entry.wakeAt });
     }
   }
 }
 
-// Save tab data to storage
-async function saveTabData() {
-  await chrome.storage.local.set({ tabData });
+// Save the rendered indicator cache and original and applied favicons to session storage
+async function saveRenderedIndicators() {
+  await chrome.storage.session.set({ renderedIndicators, originalFavicons, appliedFavicons });
 }
 
-// Save settings to storage
-async function saveSettings() {
-  await chrome.storage.local.set({ settings });
+// Short fingerprint of a favicon URL (FNV-1a), for telling our own favicons apart from the page's
+function getFaviconFingerprint(url) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < url.length; i++) {
+    hash = Math.imul(hash ^ url.charCodeAt(i), 0x01000193);
+  }
+  return `${url.length}:${(hash >>> 0).toString(36)}`;
 }
 
-// Save deleted tabs to storage
-async function saveDeletedTabs() {
-  await chrome.storage.local.set({ deletedTabs });
+// A tab's favicon without our indicator on it
+function getOriginalFavicon(tab) {
+  return (tab.id !== undefined && originalFavicons[tab.id]) || tab.favIconUrl || '';
 }
 
-// Save tab to deleted history before closing
-async function saveToDeletedHistory(tab, tabInfo) {
-  const historyEntry = {
-    id: Date.now(), // unique ID for the history entry
-    url: tab.url,
-    title: tab.title || 'Untitled',
-    favicon: tab.favIconUrl || '',
-    deletedAt: Date.now(),
-    lastActiveAt: tabInfo?.lastActiveAt || Date.now(),
-    autoDeleted: false // will be set to true if auto-deleted
-  };
-  
-  // Add to beginning of array
-  deletedTabs.unshift(historyEntry);
+// Remember a favicon the page set itself (ours come back through onUpdated too).
+// Returns false for our own. A data: URL is never kept as the original - it may be one of ours
+// from before a service worker restart - but the page setting one still needs a redraw.
+function rememberOriginalFavicon(tabId, favIconUrl) {
+  if (!favIconUrl || getFaviconFingerprint(favIconUrl) === appliedFavicons[tabId]) return false;
+  if (!favIconUrl.startsWith('data:')) {
+    originalFavicons[tabId] = favIconUrl;
+  }
+  return true;
+}
+
+// Forget everything cached for a closed or replaced tab
+function forgetTabFavicon(tabId) {
+  delete renderedIndicators[tabId];
+  delete originalFavicons[tabId];
+  delete appliedFavicons[tabId];
+}
+
+// URL of the browser's cached favicon for a page (the _favicon API)
+function getFaviconApiUrl(pageUrl) {
+  const url = new URL(chrome.runtime.getURL('/_favicon/'));
+  url.searchParams.set('pageUrl', pageUrl);
+  url.searchParams.set('size', '32');
+  return url.toString();
+}
+
+// Fetch and decode a tab's favicon. The extension can read any origin, so unlike a canvas
+// in the page nothing gets tainted. Tries the page's own favicon, then the browser's cache
+// (which also covers SVG favicons that can't be decoded here). Null if neither works.
+async function loadFaviconBitmap(tab) {
+  const sources = [originalFavicons[tab.id], getFaviconApiUrl(tab.url)].filter(Boolean);
   
-  // Keep only the most recent entries
-  if (deletedTabs.length > MAX_DELETED_HISTORY) {
-    deletedTabs = deletedTabs.slice(0, MAX_DELETED_HISTORY);
+  for (const source of sources) {
+    if (faviconBitmaps.has(source)) return faviconBitmaps.get(source);
+    try {
+      const response = await fetch(source);
+      if (!response.ok) continue;
+      const bitmap = await createImageBitmap(await response.blob());
+      
+      // Drop the oldest entry once the cache is full
+      if (faviconBitmaps.size >= FAVICON_CACHE_SIZE) {
+        faviconBitmaps.delete(faviconBitmaps.keys().next().value);
+      }
+      faviconBitmaps.set(source, bitmap);
+      return bitmap;
+    } catch (e) {
+      console.log('[TabAge] Could not load favicon', source, e.message);
+    }
   }
+  return null;
+}
+
+// Draw the indicator over a tab's favicon and return it as a PNG data URL
+async function renderFaviconDataUrl(tab, indicator) {
+  const canvas = new OffscreenCanvas(32, 32);
+  drawIndicatorIcon(canvas.getContext('2d'), await loadFaviconBitmap(tab), indicator);
   
-  await saveDeletedTabs();
-  return historyEntry;
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return `data:image/png;base64,${btoa(binary)}`;
+}
+
+// Check whether a URL can be scripted
+function isRestrictedUrl(url) {
+  return !url || url.startsWith('chrome://') || url.startsWith('chrome-extension://') || 
+    url.startsWith('brave://') || url.startsWith('about:');
+}
+
+// Everything drawIndicatorIcon / applyFaviconIndicator need to render one tab's indicator
+function buildIndicator(minutesInactive, tabSettings, closing, style = settings.indicatorStyle) {
+  return {
+    color: getAgeColor(minutesInactive, tabSettings.stages),
+    style,
+    size: settings.indicatorSize,
+    minutesInactive,
+    progress: getIndicatorProgress(minutesInactive, tabSettings),
+    closing,
+    titlePrefix: style === 'title' ? getTitlePrefix(minutesInactive, tabSettings, closing) : ''
+  };
 }
 
-// Update the visual indicator for a tab
-async function updateTabIndicator(tabId) {
-  // ALWAYS re-read settings from storage to ensure we have the latest values
-  const stored = await chrome.storage.local.get(['settings']);
-  const currentSettings = stored.settings ? { ...DEFAULT_SETTINGS, ...stored.settings } : settings;
+// Sample indicators for the style previews: a tab aging through every stage and a bit past the last.
+// previewSettings lets the options page preview edits before they're saved.
+function getIndicatorPreviewFrames(style, previewSettings = settings) {
+  const frameCount = 16;
+  const frames = [];
+  const globalSettings = getTabSettings(null, previewSettings);
   
-  // Also update the in-memory settings
-  settings = currentSettings;
+  for (let i = 0; i < frameCount; i++) {
+    const minutesInactive = Math.round(getFullAgeMinutes(globalSettings) * 1.1 * i / (frameCount - 1));
+    const indicator = buildIndicator(minutesInactive, globalSettings, false, style);
+    frames.push({ ...indicator, size: previewSettings.indicatorSize });
+  }
   
-  if (!currentSettings.enabled) return;
+  return frames;
+}
+
+// Update the visual indicator for a tab, re-injecting only if the rendered output changed.
+// Pass force to re-inject anyway (e.g. after a page load replaced our favicon).
+async function updateTabIndicator(tabId, force = false) {
+  if (!settings.enabled) return;
   
   const data = tabData[tabId];
   if (!data) return;
   
-  const minutesInactive = (Date.now() - data.lastActiveAt) / (1000 * 60);
-  
-  // Pass thresholds directly to ensure color calculation uses fresh values
-  const color = getAgeColor(
-    minutesInactive, 
-    currentSettings.freshThreshold, 
-    currentSettings.staleThreshold, 
-    currentSettings.oldThreshold
-  );
-  const hexColor = hslToHex(color);
-  
-  console.log('[TabAge] Tab', tabId, '- inactive:', minutesInactive.toFixed(1), 'min, thresholds:', 
-    currentSettings.freshThreshold, '/', currentSettings.staleThreshold, '/', currentSettings.oldThreshold,
-    '- color:', hexColor, '- style:', currentSettings.indicatorStyle);
+  const minutesInactive = getTabAgeMinutes(data);
   
   try {
     const tab = await chrome.tabs.get(tabId);
-    if (!tab || tab.url?.startsWith('chrome://') || tab.url?.startsWith('chrome-extension://') || 
-        tab.url?.startsWith('brave://') || tab.url?.startsWith('about:')) {
+    if (!tab || isRestrictedUrl(tab.url) || tab.discarded) {
       return;
     }
     
-    // Inject content script to add indicator
+    // Domain rules may override the global thresholds
+    const tabSettings = getTabSettings(tab.url);
+    
+    // Tabs about to be auto-deleted get a warning frame
+    const closing = isAboutToClose(getMinutesUntilAutoDelete(tab, data));
+    
+    const indicator = buildIndicator(minutesInactive, tabSettings, closing);
+    const { style, color: hexColor } = indicator;
+    
+    // Everything that affects the drawn favicon (or title) goes into the key
+    const key = [
+      style,
+      settings.indicatorSize,
+      hexColor,
+      style === 'badge' ? getBadgeText(minutesInactive) : '',
+      style === 'pie' || style === 'fade' ? indicator.progress : '',
+      indicator.titlePrefix,
+      closing
+    ].join('|');
+    if (!force && renderedIndicators[tabId] === key) return;
+    
+    console.log('[TabAge] Tab', tabId, '- inactive:', minutesInactive.toFixed(1), 'min - color:', hexColor, '- style:', style);
+    
+    // The icon is drawn here; the page only gets the finished data URL (none for the title style)
+    const faviconDataUrl = style === 'title' ? null : await renderFaviconDataUrl(tab, indicator);
+    if (faviconDataUrl) {
+      appliedFavicons[tabId] = getFaviconFingerprint(faviconDataUrl);
+    } else {
+      delete appliedFavicons[tabId];
+    }
+    
     await chrome.scripting.executeScript({
       target: { tabId },
-      func: addFaviconIndicator,
-      args: [hexColor, currentSettings.indicatorStyle, currentSettings.indicatorSize, minutesInactive]
+      func: applyFaviconIndicator,
+      args: [faviconDataUrl, indicator.titlePrefix, originalFavicons[tabId] || null]
     });
+    
+    renderedIndicators[tabId] = key;
+    await saveRenderedIndicators();
   } catch (e) {
     // Tab might not be accessible (chrome:// pages, etc.)
     console.log('[TabAge] Failed to update tab', tabId, e.message);
   }
 }
 
+// Update every tab's indicator and the toolbar badge, then schedule the next pass
+async function refreshAllIndicators(force = false) {
+  const tabs = await chrome.tabs.query({});
+  await updateActionBadge(tabs);
+  if (!settings.enabled) return;
+  
+  for (const tab of tabs) {
+    await updateTabIndicator(tab.id, force);
+  }
+  
+  // Stages change at color boundaries, so this is the moment to regroup
+  if (settings.autoGroupEnabled) {
+    await groupTabsByAge();
+  }
+  
+  await scheduleIndicatorUpdate(tabs);
+}
+
+// Show the number of tabs in the last stage (or last two) on the toolbar icon, colored by the oldest stage.
+// Per-window mode sets the badge per tab so each window shows its own count; otherwise only the global
+// badge is set, plus any per-tab badges left over from per-window mode (they'd hide the global one).
+async function updateActionBadge(tabs) {
+  tabs = tabs || await chrome.tabs.query({});
+  
+  const now = Date.now();
+  const stageColors = getStageColors(settings);
+  const lastIndex = settings.stages.length - 1;
+  // 'old' counts tabs in the last stage, 'staleOld' in the last two
+  const firstCounted = settings.badgeMode === 'staleOld' ? lastIndex - 1 : lastIndex;
+  const showCount = settings.enabled && settings.badgeMode !== 'off';
+  const perWindow = showCount && settings.badgePerWindow;
+  const groups = {};
+  
+  for (const tab of showCount ? tabs : []) {
+    const data = tabData[tab.id];
+    if (!data) continue;
+    
+    const stageIndex = getStageIndex(getTabAgeMinutes(data, now), getTabSettings(tab.url).stages);
+    const groupKey = perWindow ? tab.windowId : 'all';
+    const group = groups[groupKey] || (groups[groupKey] = { count: 0, worst: 0 });
+    
+    if (stageIndex >= firstCounted) {
+      group.count++;
+    }
+    group.worst = Math.max(group.worst, stageIndex);
+  }
+  
+  const badgeFor = (group) => ({
+    text: group && group.count > 0 ? String(group.count) : '',
+    color: stageColors[group ? group.worst : 0]
+  });
+  
+  // Set a badge unless it's already showing; tabId undefined sets the global one
+  const setBadge = async (badge, tabId) => {
+    const key = `${badge.text}|${badge.color}`;
+    if (key === (tabId === undefined ? renderedGlobalBadge : renderedBadges[tabId])) return;
+    const target = tabId === undefined ? {} : { tabId };
+    await chrome.action.setBadgeText({ ...target, text: badge.text });
+    await chrome.action.setBadgeBackgroundColor({ ...target, color: badge.color });
+    await chrome.action.setBadgeTextColor({ ...target, color: getReadableTextColor(badge.color) });
+    if (tabId === undefined) {
+      renderedGlobalBadge = key;
+    } else {
+      renderedBadges[tabId] = key;
+    }
+  };
+  
+  // Global badge, also the fallback for tabs that don't have their own badge yet
+  const global = badgeFor(groups.all);
+  await setBadge(perWindow ? { ...global, text: '' } : global);
+  
+  const previousBadges = JSON.stringify(renderedBadges);
+  for (const tab of tabs) {
+    if (!perWindow && renderedBadges[tab.id] === undefined) continue;
+    try {
+      await setBadge(perWindow ? badgeFor(groups[tab.windowId]) : global, tab.id);
+    } catch (e) {
+      // Tab closed in the meantime
+    }
+  }
+  if (JSON.stringify(renderedBadges) !== previousBadges) {
+    await chrome.storage.session.set({ renderedBadges });
+  }
+}
+
+// Schedule the indicator alarm for the earliest moment any tab's indicator changes
+async function scheduleIndicatorUpdate(tabs) {
+  await chrome.alarms.clear(INDICATOR_ALARM);
+  if (!settings.enabled) return;
+  
+  tabs = tabs || await chrome.tabs.query({});
+  const now = Date.now();
+  let nextChange = Infinity;
+  
+  // Restricted tabs get no favicon indicator but still count towards the toolbar badge
+  for (const tab of tabs) {
+    const data = tabData[tab.id];
+    if (!data) continue;
+    
+    const minutesInactive = getTabAgeMinutes(data, now);
+    const minutesUntil = getMinutesUntilIndicatorChange(minutesInactive, getTabSettings(tab.url), settings.indicatorStyle);
+    nextChange = Math.min(nextChange, minutesUntil);
+    
+    // The auto-delete warning frame appears when the warning window starts
+    const minutesUntilWarning = getMinutesUntilAutoDelete(tab, data, now) - settings.autoDeleteWarningMinutes;
+    if (settings.autoDeleteWarningMinutes > 0 && minutesUntilWarning > 0) {
+      nextChange = Math.min(nextChange, minutesUntilWarning);
+    }
+  }
+  
+  if (nextChange === Infinity) return;
+  
+  const when = Math.max(now + nextChange * 60 * 1000, now + MIN_ALARM_DELAY_MS);
+  await chrome.alarms.create(INDICATOR_ALARM, { when });
+}
+
 // Restore all favicons to their original state (used when extension is disabled)
 async function restoreAllFavicons() {
+  renderedIndicators = {};
+  appliedFavicons = {};
+  await saveRenderedIndicators();
+  
   const tabs = await chrome.tabs.query({});
   for (const tab of tabs) {
-    if (tab.url?.startsWith('chrome://') || tab.url?.startsWith('chrome-extension://') || 
-        tab.url?.startsWith('brave://') || tab.url?.startsWith('about:')) continue;
+    if (isRestrictedUrl(tab.url)) continue;
     try {
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        func: () => {
-          const originalUrl = document.documentElement.getAttribute('data-original-favicon');
-          if (originalUrl) {
-            document.querySelectorAll('link[rel*="icon"]').forEach(el => el.remove());
-            const link = document.createElement('link');
-            link.rel = 'icon';
-            link.href = originalUrl;
-            document.head.appendChild(link);
-            document.documentElement.removeAttribute('data-original-favicon');
-          }
-        }
+        func: applyFaviconIndicator,
+        args: [null, '', originalFavicons[tab.id] || null]
       });
     } catch (e) { /* ignore inaccessible tabs */ }
   }
@@ -253,283 +2039,677 @@ async function restoreAllFavicons() {
 
 // Note: This only affects the favicon of the current PAGE/TAB, not bookmarks.
 // Bookmarks use cached favicons from the browser's favicon database.
-// This function runs in the page context
-function addFaviconIndicator(color, style, size, minutesInactive) {
-  console.log('[TabAge] Injected indicator - style:', style, 'color:', color);
-  
-  // Store the original favicon URL in a data attribute on documentElement if not already stored
-  let faviconUrl = document.documentElement.getAttribute('data-original-favicon');
-  
-  if (!faviconUrl) {
-    // First time - find and store the original favicon
-    const existingFavicon = document.querySelector('link[rel*="icon"]:not([data-tab-age-tracker])');
-    if (existingFavicon && existingFavicon.href) {
-      faviconUrl = existingFavicon.href;
-    } else {
-      faviconUrl = '/favicon.ico';
-    }
-    document.documentElement.setAttribute('data-original-favicon', faviconUrl);
-  }
-  
-  // Remove ALL existing favicons
-  document.querySelectorAll('link[rel*="icon"], link[rel="shortcut icon"]').forEach(el => el.remove());
-  
-  // Create canvas to draw indicator
-  const canvas = document.createElement('canvas');
-  canvas.width = 32;
-  canvas.height = 32;
-  const ctx = canvas.getContext('2d');
-  
-  const img = new Image();
-  img.crossOrigin = 'anonymous';
-  
-  img.onload = () => {
-    // Draw original favicon
-    ctx.drawImage(img, 0, 0, 32, 32);
-    
-    // Draw indicator based on style
-    if (style === 'dot') {
-      // Bottom-right dot - bigger and bolder
-      const dotSize = Math.max(size, 10);
-      ctx.beginPath();
-      ctx.arc(32 - dotSize/2 - 1, 32 - dotSize/2 - 1, dotSize/2, 0, Math.PI * 2);
-      ctx.fillStyle = color;
-      ctx.fill();
-      ctx.strokeStyle = '#ffffff';
-      ctx.lineWidth = 2;
-      ctx.stroke();
-    } else if (style === 'badge') {
-      // Top-right badge with time - bigger
-      const hours = Math.floor(minutesInactive / 60);
-      const text = hours > 0 ? `${hours}h` : `${Math.floor(minutesInactive)}m`;
-      
-      ctx.fillStyle = color;
-      ctx.beginPath();
-      if (ctx.roundRect) {
-        ctx.roundRect(10, 0, 22, 14, 3);
-      } else {
-        ctx.rect(10, 0, 22, 14);
+// This function runs in the page context. The icon was already drawn by the service worker:
+// faviconDataUrl replaces the page's favicon, or null puts the original back.
+// titlePrefix ('' for none) is added to document.title by the 'title' style.
+// originalFaviconUrl comes from the service worker's cache and is kept for the watchdog,
+// which has to restore the page on its own once the extension is gone.
+function applyFaviconIndicator(faviconDataUrl, titlePrefix, originalFaviconUrl) {
+  if (originalFaviconUrl) {
+    window._tabAgeOriginalFavicon = originalFaviconUrl;
+  }
+  
+  // Put back the page's own favicon (if we replaced it)
+  const restoreOriginalFavicon = () => {
+    if (!document.querySelector('link[data-tab-age-tracker]')) return;
+    document.querySelectorAll('link[rel*="icon"]').forEach(el => el.remove());
+    const restoreLink = document.createElement('link');
+    restoreLink.rel = 'icon';
+    restoreLink.href = window._tabAgeOriginalFavicon || '/favicon.ico';
+    document.head.appendChild(restoreLink);
+  };
+  
+  // Replace the title prefix ('' removes it). The page may change its title at any time
+  // (SPAs, unread counters), so an observer puts the prefix back.
+  const setTitlePrefix = (prefix) => {
+    const current = window._tabAgeTitle;
+    if (current) {
+      current.observer.disconnect();
+      if (document.title.startsWith(current.prefix)) {
+        document.title = document.title.slice(current.prefix.length);
       }
-      ctx.fill();
-      
-      ctx.fillStyle = '#ffffff';
-      ctx.font = 'bold 11px sans-serif';
-      ctx.textAlign = 'center';
-      ctx.fillText(text, 21, 11);
+      window._tabAgeTitle = null;
     }
+    if (!prefix) return;
     
-    // Update favicon
-    const newFaviconUrl = canvas.toDataURL('image/png');
-    
-    // Remove any remaining favicons that might have been added
-    document.querySelectorAll('link[rel*="icon"], link[rel="shortcut icon"]').forEach(el => el.remove());
+    const apply = () => {
+      if (!document.title.startsWith(prefix)) {
+        document.title = prefix + document.title;
+      }
+    };
+    apply();
+    const observer = new MutationObserver(apply);
+    observer.observe(document.head || document.documentElement, { subtree: true, childList: true, characterData: true });
+    window._tabAgeTitle = { prefix, observer };
+  };
+  
+  // Set up self-cleanup watchdog: once the extension is disabled, removed or reloaded,
+  // this content script's runtime is invalidated and chrome.runtime.id disappears.
+  // This is a local check, so it never wakes the service worker.
+  const startWatchdog = () => {
+    if (window._tabAgeWatchdog) return;
     
-    // Add new favicon
-    const link = document.createElement('link');
-    link.rel = 'icon';
-    link.type = 'image/png';
-    link.href = newFaviconUrl;
-    link.setAttribute('data-tab-age-tracker', Date.now().toString());
-    document.head.appendChild(link);
-    console.log('[TabAge] Favicon updated with style:', style);
-    
-    // Set up self-cleanup watchdog using timestamp-based detection
-    // The extension updates data-tab-age-tracker timestamp every ~5 seconds
-    // If timestamp becomes stale (>15 seconds old), extension is gone
-    if (!window._tabAgeWatchdog) {
-      const restoreOriginalFavicon = () => {
-        if (window._tabAgeWatchdog) {
-          clearInterval(window._tabAgeWatchdog);
-          window._tabAgeWatchdog = null;
-        }
-        const originalUrl = document.documentElement.getAttribute('data-original-favicon');
-        if (originalUrl) {
-          document.querySelectorAll('link[rel*="icon"]').forEach(el => el.remove());
-          const restoreLink = document.createElement('link');
-          restoreLink.rel = 'icon';
-          restoreLink.href = originalUrl;
-          document.head.appendChild(restoreLink);
-          document.documentElement.removeAttribute('data-original-favicon');
-          console.log('[TabAge] Extension inactive - favicon restored');
-        }
-      };
+    window._tabAgeWatchdog = setInterval(() => {
+      const currentFavicon = document.querySelector('link[data-tab-age-tracker]');
+      if (!currentFavicon && !window._tabAgeTitle) {
+        // Nothing of ours left on the page
+        clearInterval(window._tabAgeWatchdog);
+        window._tabAgeWatchdog = null;
+        return;
+      }
       
-      window._tabAgeWatchdog = setInterval(() => {
-        const currentFavicon = document.querySelector('link[data-tab-age-tracker]');
-        if (!currentFavicon) {
-          // Favicon was removed, restore original
-          restoreOriginalFavicon();
-          return;
-        }
-        
-        const lastUpdate = parseInt(currentFavicon.getAttribute('data-tab-age-tracker') || '0');
-        const now = Date.now();
-        const staleness = now - lastUpdate;
-        
-        // If favicon hasn't been updated in 15 seconds, extension is likely gone
-        // (extension normally updates every 5 seconds)
-        if (staleness > 15000) {
-          console.log('[TabAge] Favicon stale for', staleness, 'ms - restoring');
-          restoreOriginalFavicon();
-        }
-      }, 5000); // Check every 5 seconds
-    }
+      if (!chrome.runtime?.id) {
+        console.log('[TabAge] Extension context gone - restoring');
+        clearInterval(window._tabAgeWatchdog);
+        window._tabAgeWatchdog = null;
+        restoreOriginalFavicon();
+        setTitlePrefix('');
+      }
+    }, 5000); // Check every 5 seconds
   };
   
-  img.onerror = () => {
-    // No favicon, just draw indicator on blank
-    ctx.fillStyle = '#f0f0f0';
-    ctx.fillRect(0, 0, 32, 32);
-    
-    if (style === 'dot') {
-      const dotSize = Math.max(size, 10);
-      ctx.beginPath();
-      ctx.arc(32 - dotSize/2 - 1, 32 - dotSize/2 - 1, dotSize/2, 0, Math.PI * 2);
-      ctx.fillStyle = color;
-      ctx.fill();
-      ctx.strokeStyle = '#ffffff';
-      ctx.lineWidth = 2;
-      ctx.stroke();
-    } else if (style === 'badge') {
-      const hours = Math.floor(minutesInactive / 60);
-      const text = hours > 0 ? `${hours}h` : `${Math.floor(minutesInactive)}m`;
-      ctx.fillStyle = color;
-      ctx.beginPath();
-      if (ctx.roundRect) {
-        ctx.roundRect(10, 0, 22, 14, 3);
-      } else {
-        ctx.rect(10, 0, 22, 14);
-      }
-      ctx.fill();
-      ctx.fillStyle = '#ffffff';
-      ctx.font = 'bold 11px sans-serif';
-      ctx.textAlign = 'center';
-      ctx.fillText(text, 21, 11);
-    }
-    
-    // Remove any remaining favicons
+  setTitlePrefix(titlePrefix);
+  
+  if (!faviconDataUrl) {
+    restoreOriginalFavicon();
+  } else {
+    // Remove ALL existing favicons, including ones added since the last update
     document.querySelectorAll('link[rel*="icon"], link[rel="shortcut icon"]').forEach(el => el.remove());
     
-    const newFaviconUrl = canvas.toDataURL('image/png');
     const link = document.createElement('link');
     link.rel = 'icon';
     link.type = 'image/png';
-    link.href = newFaviconUrl;
+    link.href = faviconDataUrl;
     link.setAttribute('data-tab-age-tracker', Date.now().toString());
     document.head.appendChild(link);
-    console.log('[TabAge] Favicon (fallback) updated with style:', style);
-  };
+  }
   
-  img.src = faviconUrl;
+  if (faviconDataUrl || titlePrefix) {
+    startWatchdog();
+  }
 }
 
 // Event Listeners
 
 // Tab created
 chrome.tabs.onCreated.addListener(async (tab) => {
+  await initialized;
   const now = Date.now();
+  // Session restore (at startup, or lazily loaded 'unloaded' tabs) isn't the user opening a tab
+  const restored = (browserStartedAt !== null && now - browserStartedAt < STARTUP_RESTORE_MS) || tab.status === 'unloaded';
   tabData[tab.id] = {
     createdAt: now,
     lastActiveAt: now,
+    lastActiveClock: getClockNow(now),
+    focusedMs: 0,
+    visits: 0,
     url: tab.url,
-    title: tab.title
+    title: getCleanTitle(tab.title),
+    windowId: tab.windowId,
+    index: tab.index,
+    restored
   };
   await saveTabData();
+  await refreshTabPositions(tab.windowId);
+  await updateActionBadge();
 });
 
 // Tab activated (user switches to it)
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
+  await initialized;
   const now = Date.now();
   
   if (tabData[activeInfo.tabId]) {
     tabData[activeInfo.tabId].lastActiveAt = now;
+    tabData[activeInfo.tabId].lastActiveClock = getClockNow(now);
   } else {
     tabData[activeInfo.tabId] = {
       createdAt: now,
-      lastActiveAt: now
+      lastActiveAt: now,
+      lastActiveClock: getClockNow(now),
+      focusedMs: 0,
+      visits: 0
     };
   }
   
-  await saveTabData();
+  await focusActiveTab(activeInfo.windowId);
+  await saveTabData();
+  
+  // Update indicator for this tab (now in the first stage)
+  await updateTabIndicator(activeInfo.tabId);
+  await updateActionBadge();
+  
+  // An activated tab is in the first stage again, so it leaves its older stage's group
+  if (settings.autoGroupEnabled) {
+    await groupTabsByAge();
+  }
+  await scheduleIndicatorUpdate();
+});
+
+// Tab updated (URL change, etc.)
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  await initialized;
+  if (changeInfo.url && settings.autoFocusDuplicates) {
+    await focusExistingDuplicate(tab);
+  }
+  
+  // A new page keeps the old page's favicon until it declares its own
+  if (changeInfo.url) {
+    delete originalFavicons[tabId];
+  }
+  
+  // The page set a favicon of its own (new page, or e.g. an unread counter) - redraw over it
+  if (rememberOriginalFavicon(tabId, changeInfo.favIconUrl)) {
+    await saveRenderedIndicators();
+    if (appliedFavicons[tabId] && tab.status === 'complete' && !changeInfo.status) {
+      setTimeout(() => updateTabIndicator(tabId, true), 500);
+    }
+  }
+  
+  if (changeInfo.status === 'complete') {
+    if (tabData[tabId]) {
+      tabData[tabId].url = tab.url;
+      tabData[tabId].title = getCleanTitle(tab.title);
+      tabData[tabId].windowId = tab.windowId;
+      tabData[tabId].index = tab.index;
+    }
+    await saveTabData();
+    
+    // Re-apply indicator after page load (the new document has lost our favicon)
+    delete renderedIndicators[tabId];
+    setTimeout(() => updateTabIndicator(tabId, true), 500);
+    
+    // The URL may now match a different domain rule. Navigating also drops the tab's own badge.
+    delete renderedBadges[tabId];
+    await updateActionBadge();
+  }
+});
+
+// Tab removed
+chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+  await initialized;
+  if (focusSession?.tabId === tabId) {
+    focusSession = null;
+    await saveFocusSession();
+  }
+  forgetTabFavicon(tabId);
+  delete renderedBadges[tabId];
+  await saveRenderedIndicators();
+  
+  // Every close counts for the stats, whoever closed the tab - except whole windows, which is
+  // also how quitting the browser looks
+  const autoDeleted = autoDeletingTabIds.delete(tabId);
+  if (!removeInfo.isWindowClosing) {
+    await countClosedTab(autoDeleted);
+  }
+  
+  // A closing window may be the browser quitting: keep its records so they can be matched to the
+  // restored tabs at the next startup (reconcileTabData prunes them otherwise)
+  if (!removeInfo.isWindowClosing) {
+    delete tabData[tabId];
+    await saveTabData();
+    await refreshTabPositions(removeInfo.windowId);
+  }
+  await updateActionBadge();
+});
+
+// Tab replaced by another one (e.g. prerendering or discarding) - carry its record over
+chrome.tabs.onReplaced.addListener(async (addedTabId, removedTabId) => {
+  await initialized;
+  if (tabData[removedTabId]) {
+    tabData[addedTabId] = tabData[removedTabId];
+    delete tabData[removedTabId];
+    forgetTabFavicon(removedTabId);
+    await saveTabData();
+  }
+  if (focusSession?.tabId === removedTabId) {
+    focusSession.tabId = addedTabId;
+    lastFocusedTabId = addedTabId;
+    await saveFocusSession();
+  }
+});
+
+// Window focus changed - WINDOW_ID_NONE means the browser lost focus to another application
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  await initialized;
+  if (windowId === chrome.windows.WINDOW_ID_NONE) {
+    endFocusSession();
+    await saveFocusSession();
+  } else {
+    await focusActiveTab(windowId);
+  }
+  await saveTabData();
+});
+
+// Tab moved within a window or between windows
+chrome.tabs.onMoved.addListener(async (tabId, moveInfo) => {
+  await initialized;
+  await refreshTabPositions(moveInfo.windowId);
+});
+
+chrome.tabs.onAttached.addListener(async (tabId, attachInfo) => {
+  await initialized;
+  await refreshTabPositions(attachInfo.newWindowId);
+  
+  // Moving a tab between windows changes the per-window badge counts
+  if (settings.badgePerWindow) {
+    await updateActionBadge();
+  }
+});
+
+chrome.tabs.onDetached.addListener(async (tabId, detachInfo) => {
+  await initialized;
+  await refreshTabPositions(detachInfo.oldWindowId);
+});
+
+// Idle state changed - stop aging while away, re-render once the user is back
+chrome.idle.onStateChanged.addListener(async (state) => {
+  await initialized;
+  // Time away doesn't count as focused time
+  if (state === 'active') {
+    await focusActiveTab();
+  } else {
+    endFocusSession(state === 'idle' ? Date.now() - IDLE_DETECTION_SECONDS * 1000 : Date.now());
+    await saveFocusSession();
+  }
+  await saveTabData();
+  
+  if (!settings.pauseWhenIdle || !agingClock) return;
+  
+  if (state === 'active') {
+    await resumeAgingClock();
+    await refreshAllIndicators();
+  } else if (state === 'idle') {
+    await pauseAgingClock(Date.now() - IDLE_DETECTION_SECONDS * 1000);
+  } else {
+    await pauseAgingClock();
+  }
+});
+
+// Keep the in-memory settings in sync with storage
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  await initialized;
+  if (areaName !== 'local' || !changes.settings) return;
+  settings = { ...DEFAULT_SETTINGS, ...changes.settings.newValue };
+  
+  // Lowered retention limits apply right away
+  if (pruneDeletedHistory()) {
+    await saveDeletedTabs();
+  }
+  
+  // Turning idle pausing or the aging freeze off must not leave the clock stopped
+  await syncAgingClockWithSchedule();
+  await scheduleNextScheduleAlarm();
+  
+  if (settings.enabled) {
+    await refreshAllIndicators();
+  } else {
+    await chrome.alarms.clear(INDICATOR_ALARM);
+    await updateActionBadge();
+  }
+});
+
+// Profiles changed on another machine
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  await initialized;
+  if (areaName !== 'sync' || !profileSync.enabled) return;
+  await applySyncedProfileChanges(changes);
+});
+
+// Auto-delete old tabs based on autoDeleteThreshold
+async function autoDeleteOldTabs(now = Date.now()) {
+  const tabs = await chrome.tabs.query({});
+  const batchId = createBatchId();
+  let deletedCount = 0;
+  
+  for (const tab of tabs) {
+    const data = tabData[tab.id];
+    if (getMinutesUntilClose(tab, data, now) <= 0) {
+      // Save to history before deleting
+      await saveToDeletedHistory(tab, data, { source: 'autoDelete', batchId });
+      
+      // Close the tab
+      try {
+        autoDeletingTabIds.add(tab.id);
+        await chrome.tabs.remove(tab.id);
+        deletedCount++;
+        console.log('[TabAge] Auto-deleted tab:', getCleanTitle(tab.title));
+      } catch (e) {
+        autoDeletingTabIds.delete(tab.id);
+        console.error('[TabAge] Failed to auto-delete tab:', e);
+      }
+    }
+  }
+  
+  await notifyBatchClosed(batchId, deletedCount, 'autoDelete');
+  if (deletedCount > 0) {
+    await warnBeforeAutoDelete();
+  }
+}
+
+// Minutes until auto-delete closes a tab (negative once it's due), or Infinity if it never will
+function getMinutesUntilAutoDelete(tab, data, now = Date.now()) {
+  if (!data || !settings.enabled || !settings.autoDeleteEnabled) return Infinity;
+  
+  // Skip active tab, pinned tabs, and special URLs
+  if (tab.active || tab.pinned) return Infinity;
+  if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') || 
+      tab.url.startsWith('brave://') || tab.url.startsWith('edge://') || tab.url === 'about:blank') return Infinity;
+  
+  // Skip tabs protected by the user or a domain rule; aggressive rules delete once the tab outlives the Close Old stage
+  const tabSettings = getTabSettings(tab.url);
+  if (data.protected || tabSettings.mode === 'protect') return Infinity;
+  
+  // Optionally spare tabs the user has worked in for a long time
+  if (settings.spareEngagedTabs && getFocusedMs(tab.id, now) >= settings.engagedThreshold * 60 * 1000) return Infinity;
+  
+  const thresholdMinutes = tabSettings.mode === 'aggressive'
+    ? Math.min(tabSettings.autoDeleteThreshold, tabSettings.stages[tabSettings.closeStageIndex].minutes)
+    : tabSettings.autoDeleteThreshold;
+  
+  // A due tab waits for the schedule to allow the next sweep
+  const minutesLeft = thresholdMinutes - getTabAgeMinutes(data, now);
+  const minutesUntilAllowed = getMinutesUntilAutoActions(now);
+  return minutesUntilAllowed > 0 ? Math.max(minutesLeft, minutesUntilAllowed) : minutesLeft;
+}
+
+// Minutes until auto-delete actually closes a tab: it must be due and have been warned about
+// for the whole warning time, so a tab that's already due when first warned still gets the full warning
+function getMinutesUntilClose(tab, data, now = Date.now()) {
+  const minutesLeft = getMinutesUntilAutoDelete(tab, data, now);
+  if (!Number.isFinite(minutesLeft) || settings.autoDeleteWarningMinutes <= 0) return minutesLeft;
+  
+  // Warnings come from alarms that can fire a little late, so a started minute counts in full
+  const minutesWarned = data.warnedAt !== undefined ? Math.ceil((now - data.warnedAt) / 60000) : 0;
+  return Math.max(minutesLeft, settings.autoDeleteWarningMinutes - minutesWarned);
+}
+
+// Whether a tab is inside the warning window before auto-delete
+function isAboutToClose(minutesLeft) {
+  return settings.autoDeleteWarningMinutes > 0 && minutesLeft <= settings.autoDeleteWarningMinutes;
+}
+
+// Tabs inside the warning window, soonest first
+async function getTabsAboutToClose() {
+  const tabs = await chrome.tabs.query({});
+  const now = Date.now();
+  return tabs
+    .map(tab => ({ tab, minutesLeft: getMinutesUntilClose(tab, tabData[tab.id], now) }))
+    .filter(({ minutesLeft }) => isAboutToClose(minutesLeft))
+    .sort((a, b) => a.minutesLeft - b.minutesLeft);
+}
+
+// Notify when tabs enter the warning window, and clear the notification once none are left.
+// Records when each tab was first warned about (data.warnedAt) - auto-delete waits for that.
+// Notifications allow two buttons, so per-tab Keep lives in the popup ("Choose..." opens it).
+async function warnBeforeAutoDelete() {
+  const closing = await getTabsAboutToClose();
+  const tabIds = closing.map(({ tab }) => tab.id);
+  
+  const now = Date.now();
+  let warningsChanged = false;
+  for (const [id, data] of Object.entries(tabData)) {
+    const warned = tabIds.includes(Number(id));
+    if (warned && data.warnedAt === undefined) {
+      data.warnedAt = now;
+      warningsChanged = true;
+    } else if (!warned && data.warnedAt !== undefined) {
+      delete data.warnedAt;
+      warningsChanged = true;
+    }
+  }
+  if (warningsChanged) {
+    await saveTabData();
+  }
+  
+  const { warnedTabIds = [] } = await chrome.storage.session.get('warnedTabIds');
+  await chrome.storage.session.set({ warnedTabIds: tabIds });
+  
+  if (tabIds.length === 0) {
+    if (warnedTabIds.length > 0) {
+      await chrome.notifications.clear(AUTO_DELETE_WARNING_NOTIFICATION);
+    }
+    return;
+  }
+  if (tabIds.every(id => warnedTabIds.includes(id))) return;
   
-  // Update indicator for this tab (now fresh/green)
-  await updateTabIndicator(activeInfo.tabId);
-});
+  const count = tabIds.length;
+  try {
+    await chrome.notifications.create(AUTO_DELETE_WARNING_NOTIFICATION, {
+      type: 'list',
+      iconUrl: 'icons/icon128.png',
+      title: `${count} tab${count === 1 ? '' : 's'} will be auto-deleted soon`,
+      message: 'Keep them to reset their age.',
+      items: closing.slice(0, WARNING_LIST_MAX_ITEMS).map(({ tab, minutesLeft }) => ({
+        title: getCleanTitle(tab.title) || tab.url,
+        message: `in ${Math.max(1, Math.ceil(minutesLeft))} min`
+      })),
+      buttons: count === 1 ? [{ title: 'Keep' }] : [{ title: 'Keep all' }, { title: 'Choose…' }],
+      requireInteraction: true
+    });
+  } catch (e) {
+    console.error('[TabAge] Failed to show auto-delete warning:', e);
+  }
+}
 
-// Tab updated (URL change, etc.)
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete') {
+// Keep tabs from being auto-deleted by resetting their age
+async function keepTabs(tabIds) {
+  const clockNow = getClockNow();
+  for (const tabId of tabIds) {
     if (tabData[tabId]) {
-      tabData[tabId].url = tab.url;
-      tabData[tabId].title = tab.title;
+      tabData[tabId].lastActiveClock = clockNow;
     }
-    await saveTabData();
-    
-    // Re-apply indicator after page load
-    setTimeout(() => updateTabIndicator(tabId), 500);
   }
-});
-
-// Tab removed
-chrome.tabs.onRemoved.addListener(async (tabId) => {
-  delete tabData[tabId];
   await saveTabData();
-});
+  await warnBeforeAutoDelete();
+  await refreshAllIndicators();
+}
 
-// Periodic update of all tab indicators (every 5 seconds for real-time color changes)
-setInterval(async () => {
-  if (!settings.enabled) return;
+// Unload tabs past discardThreshold to free memory while keeping them in the tab strip
+async function discardOldTabs(now = Date.now()) {
+  if (getMinutesUntilAutoActions(now) > 0) return;
+  const tabs = await chrome.tabs.query({ discarded: false });
   
-  const tabs = await chrome.tabs.query({});
   for (const tab of tabs) {
-    await updateTabIndicator(tab.id);
+    const data = tabData[tab.id];
+    if (!data) continue;
+    
+    // Skip the active tab, tabs playing audio and tabs the user or site marked as not discardable
+    if (tab.active || tab.audible || tab.autoDiscardable === false) continue;
+    if (isRestrictedUrl(tab.url)) continue;
+    
+    // Domain rules: protected domains never sleep, others may set their own sleep time
+    const tabSettings = getTabSettings(tab.url);
+    if (tabSettings.mode === 'protect') continue;
+    
+    if (getTabAgeMinutes(data, now) > tabSettings.discardThreshold) {
+      try {
+        await chrome.tabs.discard(tab.id);
+        console.log('[TabAge] Discarded tab:', getCleanTitle(tab.title));
+      } catch (e) {
+        console.error('[TabAge] Failed to discard tab:', e);
+      }
+    }
   }
+}
+
+// Pick the duplicates a merge would close: all but the most recently active copy (pinned and protected copies stay)
+function getDuplicatesToClose(tabs) {
+  const tabsToClose = [];
   
-  // Auto-delete check
-  if (settings.autoDeleteEnabled) {
-    await autoDeleteOldTabs();
+  for (const group of findDuplicateGroups(tabs)) {
+    const lastActive = (tab) => tab.active ? Infinity : (tabData[tab.id]?.lastActiveAt || 0);
+    const keep = group.reduce((best, tab) => lastActive(tab) > lastActive(best) ? tab : best);
+    tabsToClose.push(...group.filter(tab => tab.id !== keep.id && !tab.pinned && !tabData[tab.id]?.protected));
   }
-}, 5000); // Update every 5 seconds
+  return tabsToClose;
+}
 
-// Auto-delete old tabs based on autoDeleteThreshold
-async function autoDeleteOldTabs() {
+// Close duplicate tabs into the deleted-tab history, keeping the most recently active copy
+async function mergeDuplicates() {
   const tabs = await chrome.tabs.query({});
-  const now = Date.now();
-  const thresholdMs = settings.autoDeleteThreshold * 60 * 1000;
+  const tabsToClose = getDuplicatesToClose(tabs);
   
-  for (const tab of tabs) {
-    const data = tabData[tab.id];
-    if (!data) continue;
-    
-    // Skip active tab, pinned tabs, and special URLs
-    if (tab.active || tab.pinned) continue;
-    if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') || 
-        tab.url.startsWith('brave://') || tab.url.startsWith('edge://') || tab.url === 'about:blank') continue;
-    
-    const inactiveTime = now - data.lastActiveAt;
-    if (inactiveTime > thresholdMs) {
-      // Save to history before deleting
-      const historyEntry = await saveToDeletedHistory(tab, data);
-      historyEntry.autoDeleted = true;
-      await saveDeletedTabs();
-      
-      // Close the tab
+  const batchId = createBatchId();
+  for (const tab of tabsToClose) {
+    await saveToDeletedHistory(tab, tabData[tab.id], { source: 'duplicates', batchId });
+  }
+  if (tabsToClose.length > 0) {
+    await chrome.tabs.remove(tabsToClose.map(t => t.id));
+    await notifyBatchClosed(batchId, tabsToClose.length, 'duplicates');
+  }
+  return tabsToClose.length;
+}
+
+// When a freshly opened tab lands on a URL that's already open, switch to the existing tab instead.
+// Restored tabs are left alone - the user didn't just open them.
+async function focusExistingDuplicate(tab) {
+  const data = tabData[tab.id];
+  if (!data || data.restored || Date.now() - data.createdAt > DUPLICATE_FOCUS_WINDOW_MS) return;
+  if (isRestrictedUrl(tab.url)) return;
+  
+  const key = normalizeUrl(tab.url);
+  const tabs = await chrome.tabs.query({});
+  const existing = tabs.find(t => t.id !== tab.id && !isRestrictedUrl(t.url) && normalizeUrl(t.url) === key);
+  if (!existing) return;
+  
+  console.log('[TabAge] Duplicate opened, switching to existing tab:', getCleanTitle(existing.title));
+  await chrome.tabs.update(existing.id, { active: true });
+  await chrome.windows.update(existing.windowId, { focused: true });
+  await chrome.tabs.remove(tab.id);
+}
+
+// Run one action on a batch of tabs selected in the popup
+async function runBulkAction(action, tabIds, options = {}) {
+  const tabs = (await chrome.tabs.query({})).filter(tab => tabIds.includes(tab.id));
+  if (tabs.length === 0) return;
+  
+  if (action === 'close') {
+    const batchId = createBatchId();
+    for (const tab of tabs) {
+      await saveToDeletedHistory(tab, tabData[tab.id], { source: 'bulk', batchId });
+    }
+    await chrome.tabs.remove(tabs.map(t => t.id));
+    await notifyBatchClosed(batchId, tabs.length, 'bulk');
+  } else if (action === 'discard') {
+    for (const tab of tabs) {
+      if (tab.active || tab.discarded) continue;
       try {
-        await chrome.tabs.remove(tab.id);
-        console.log('[TabAge] Auto-deleted tab:', tab.title);
+        await chrome.tabs.discard(tab.id);
       } catch (e) {
-        console.error('[TabAge] Failed to auto-delete tab:', e);
+        console.error('[TabAge] Failed to discard tab:', e);
+      }
+    }
+  } else if (action === 'newWindow') {
+    const [first, ...rest] = tabs;
+    const win = await chrome.windows.create({ tabId: first.id, focused: true });
+    if (rest.length > 0) {
+      await chrome.tabs.move(rest.map(t => t.id), { windowId: win.id, index: -1 });
+    }
+  } else if (action === 'group') {
+    // Pinned tabs can't be grouped
+    const groupable = tabs.filter(t => !t.pinned).map(t => t.id);
+    if (groupable.length > 0) {
+      await chrome.tabs.group({ tabIds: groupable });
+    }
+  } else if (action === 'snooze') {
+    const wakeAt = getSnoozeWakeTime(options.option, options.minutes);
+    if (!wakeAt) return;
+    for (const tab of tabs) {
+      await snoozeTab(tab.id, wakeAt);
+    }
+  } else if (action === 'protect') {
+    for (const tab of tabs) {
+      if (tabData[tab.id]) {
+        tabData[tab.id].protected = options.value !== false;
       }
     }
+    await saveTabData();
+  } else if (action === 'archive') {
+    await archiveTabs(tabs, options.tags);
   }
 }
 
 // Handle keyboard commands
 chrome.commands.onCommand.addListener(async (command) => {
+  await initialized;
   if (command === 'sort-by-age') {
     await sortTabsByAge();
   } else if (command === 'close-old-tabs') {
     await closeOldTabs();
+  } else if (command === 'group-by-age') {
+    await groupTabsByAge();
+  } else if (command === 'snooze-tab') {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      await snoozeTab(tab.id, getSnoozeWakeTime(COMMAND_SNOOZE_OPTION));
+    }
+  } else if (command === 'undo-last-close') {
+    await undoLastClose();
+  } else if (command === 'archive-tab') {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (tab) {
+      await archiveTabs([tab]);
+    }
+  }
+});
+
+// Notification buttons: Undo on "Closed N tabs", Keep / Keep all / Choose on the auto-delete warning
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  await initialized;
+  if (notificationId.startsWith(UNDO_NOTIFICATION_PREFIX)) {
+    await undoBatch(notificationId.slice(UNDO_NOTIFICATION_PREFIX.length));
+  } else if (notificationId === AUTO_DELETE_WARNING_NOTIFICATION) {
+    if (buttonIndex === 0) {
+      const { warnedTabIds = [] } = await chrome.storage.session.get('warnedTabIds');
+      await keepTabs(warnedTabIds);
+    } else {
+      await openPopupFromNotification();
+    }
+  }
+});
+
+// Clicking the auto-delete warning itself opens the popup to keep tabs one by one
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  await initialized;
+  if (notificationId === AUTO_DELETE_WARNING_NOTIFICATION) {
+    await openPopupFromNotification();
+  }
+});
+
+// Open the action popup (not supported everywhere - then the notification just stays)
+async function openPopupFromNotification() {
+  try {
+    await chrome.action.openPopup();
+  } catch (e) {
+    console.log('[TabAge] Could not open the popup:', e.message);
+  }
+}
+
+// Alarm dispatcher: snoozed tabs, indicator updates, the periodic maintenance sweep, the schedule and stats snapshots
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await initialized;
+  if (alarm.name.startsWith(SNOOZE_ALARM_PREFIX)) {
+    await wakeSnoozedTab(parseInt(alarm.name.slice(SNOOZE_ALARM_PREFIX.length)));
+  } else if (alarm.name === INDICATOR_ALARM) {
+    await refreshAllIndicators();
+  } else if (alarm.name === MAINTENANCE_ALARM) {
+    // Proof of life for the aging clock - a missing checkpoint later means the browser was closed
+    if (agingClock) {
+      agingClock.checkpoint = Date.now();
+      await saveAgingClock();
+    }
+    await warnBeforeAutoDelete();
+    if (settings.enabled && settings.autoDeleteEnabled) {
+      await autoDeleteOldTabs();
+    }
+    if (settings.enabled && settings.discardEnabled) {
+      await discardOldTabs();
+    }
+  } else if (alarm.name === SCHEDULE_ALARM) {
+    await runScheduleAlarm(alarm.scheduledTime);
+  } else if (alarm.name === STATS_ALARM) {
+    await recordStatsSnapshot();
   }
 });
 
@@ -539,11 +2719,11 @@ async function sortTabsByAge() {
   
   const tabsWithAge = tabs.map(tab => ({
     tab,
-    lastActiveAt: tabData[tab.id]?.lastActiveAt || Date.now()
+    minutes: tabData[tab.id] ? getTabAgeMinutes(tabData[tab.id]) : 0
   }));
   
-  // Sort by last active time (oldest first)
-  tabsWithAge.sort((a, b) => a.lastActiveAt - b.lastActiveAt);
+  // Sort by inactive time (oldest first)
+  tabsWithAge.sort((a, b) => b.minutes - a.minutes);
   
   // Move tabs to new positions
   for (let i = 0; i < tabsWithAge.length; i++) {
@@ -551,31 +2731,170 @@ async function sortTabsByAge() {
   }
 }
 
-// Close tabs older than threshold
-async function closeOldTabs() {
-  const tabs = await chrome.tabs.query({ currentWindow: true });
+// Closest tab group color to a #rrggbb color
+function getNearestGroupColor(hex) {
+  const rgb = (value) => [1, 3, 5].map(i => parseInt(value.slice(i, i + 2), 16));
+  const [r, g, b] = rgb(hex);
+  let nearest = 'grey';
+  let nearestDistance = Infinity;
+  for (const [name, groupHex] of Object.entries(GROUP_COLORS)) {
+    const [gr, gg, gb] = rgb(groupHex);
+    const distance = (r - gr) ** 2 + (g - gg) ** 2 + (b - gb) ** 2;
+    if (distance < nearestDistance) {
+      nearest = name;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+// Title and color of the tab group for each stage, by stage name
+function getAgeGroupProperties() {
+  const colors = getStageColors(settings);
+  const properties = {};
+  settings.stages.forEach((stage, i) => {
+    properties[stage.name] = { title: stage.name, color: getNearestGroupColor(colors[i]) };
+  });
+  return properties;
+}
+
+// Find the age groups we own: the IDs we created this session, and since group IDs change after a
+// browser restart, groups titled after a stage holding a tab we put in that stage's group
+// (data.ageGroup, which survives restarts with the rest of the tab record). A user's own group
+// that happens to share a stage's title and color isn't ours.
+async function getOwnedAgeGroups(tabs) {
+  const groups = await chrome.tabGroups.query({});
+  const groupProperties = getAgeGroupProperties();
+  const owned = {};
+  
+  for (const group of groups) {
+    const stageName = ageGroupIds[group.id] || Object.keys(groupProperties).find(name =>
+      groupProperties[name].title === group.title &&
+      tabs.some(tab => tab.groupId === group.id && tabData[tab.id]?.ageGroup === name));
+    if (stageName) {
+      owned[group.id] = { stageName, windowId: group.windowId, color: group.color };
+    }
+  }
+  return owned;
+}
+
+// Move tabs into one group per stage. Tabs in user-created groups are left alone
+// unless groupUserTabs is on; pinned tabs can't be grouped.
+async function groupTabsByAge() {
+  const tabs = await chrome.tabs.query({ windowType: 'normal' });
+  const owned = await getOwnedAgeGroups(tabs);
+  const groupProperties = getAgeGroupProperties();
+  const now = Date.now();
+  
+  // windowId -> stage name -> { groupId, tabIds }
+  const plan = {};
+  for (const [groupId, { stageName, windowId, color }] of Object.entries(owned)) {
+    plan[windowId] = plan[windowId] || {};
+    plan[windowId][stageName] = { groupId: parseInt(groupId), tabIds: [] };
+    
+    // Follow palette changes
+    if (groupProperties[stageName] && groupProperties[stageName].color !== color) {
+      await chrome.tabGroups.update(parseInt(groupId), groupProperties[stageName]).catch(() => {});
+    }
+  }
+  
+  // Remember which tabs are in our groups, for finding the groups again after a restart
+  for (const tab of tabs) {
+    const data = tabData[tab.id];
+    if (!data) continue;
+    if (owned[tab.groupId]) {
+      data.ageGroup = owned[tab.groupId].stageName;
+    } else {
+      delete data.ageGroup;
+    }
+  }
+  
+  for (const tab of tabs) {
+    const data = tabData[tab.id];
+    if (!data || tab.pinned) continue;
+    
+    const inUserGroup = tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && !owned[tab.groupId];
+    if (inUserGroup && !settings.groupUserTabs) continue;
+    
+    const tabSettings = getTabSettings(tab.url);
+    const stageName = tabSettings.stages[getStageIndex(getTabAgeMinutes(data, now), tabSettings.stages)].name;
+    if (owned[tab.groupId]?.stageName === stageName) continue;
+    
+    plan[tab.windowId] = plan[tab.windowId] || {};
+    plan[tab.windowId][stageName] = plan[tab.windowId][stageName] || { groupId: null, tabIds: [] };
+    plan[tab.windowId][stageName].tabIds.push(tab.id);
+  }
+  
+  for (const [windowId, stagePlans] of Object.entries(plan)) {
+    for (const [stageName, { groupId, tabIds }] of Object.entries(stagePlans)) {
+      if (tabIds.length === 0) continue;
+      try {
+        if (groupId !== null) {
+          await chrome.tabs.group({ groupId, tabIds });
+        } else {
+          const newGroupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: parseInt(windowId) } });
+          await chrome.tabGroups.update(newGroupId, { ...groupProperties[stageName], collapsed: false });
+          ageGroupIds[newGroupId] = stageName;
+        }
+        tabIds.forEach(tabId => { tabData[tabId].ageGroup = stageName; });
+      } catch (e) {
+        console.error('[TabAge] Failed to group tabs:', e);
+      }
+    }
+  }
+  
+  await chrome.storage.session.set({ ageGroupIds });
+  await saveTabData();
+}
+
+// Close tabs older than threshold - in the current window, or among tabIds when the popup passes a filtered set
+async function closeOldTabs(tabIds) {
+  const tabs = Array.isArray(tabIds)
+    ? (await chrome.tabs.query({})).filter(tab => tabIds.includes(tab.id))
+    : await chrome.tabs.query({ currentWindow: true });
   const now = Date.now();
-  const thresholdMs = settings.oldThreshold * 60 * 1000;
   
   const tabsToClose = tabs.filter(tab => {
     const data = tabData[tab.id];
     if (!data) return false;
-    return (now - data.lastActiveAt) > thresholdMs && !tab.active;
+    
+    // Protected tabs and domains are never closed; aggressive ones go one stage early
+    const tabSettings = getTabSettings(tab.url);
+    if (data.protected || tabSettings.mode === 'protect') return false;
+    const closeStageIndex = tabSettings.mode === 'aggressive'
+      ? Math.max(0, tabSettings.closeStageIndex - 1)
+      : tabSettings.closeStageIndex;
+    const thresholdMinutes = tabSettings.stages[closeStageIndex].minutes;
+    
+    return getTabAgeMinutes(data, now) > thresholdMinutes && !tab.active;
   });
   
-  // Save each tab to history before closing
-  for (const tab of tabsToClose) {
-    await saveToDeletedHistory(tab, tabData[tab.id]);
+  // With closeOldToArchive, tabs with a real URL go to the read-later archive instead
+  const tabsToArchive = settings.closeOldToArchive ? tabsToClose.filter(tab => !isRestrictedUrl(tab.url)) : [];
+  await archiveTabs(tabsToArchive);
+  const remaining = tabsToClose.filter(tab => !tabsToArchive.includes(tab));
+  
+  // Save each tab to history before closing, as one batch
+  const batchId = createBatchId();
+  for (const tab of remaining) {
+    await saveToDeletedHistory(tab, tabData[tab.id], { source: 'closeOld', batchId });
   }
   
-  if (tabsToClose.length > 0) {
-    await chrome.tabs.remove(tabsToClose.map(t => t.id));
+  if (remaining.length > 0) {
+    await chrome.tabs.remove(remaining.map(t => t.id));
+    await notifyBatchClosed(batchId, remaining.length, 'closeOld');
   }
 }
 
-// Message handler for popup communication
+// Messages wait for init() like every other listener, so every response is sent asynchronously
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  // Ping handler for watchdog - just respond to confirm extension is alive
+  initialized.then(() => handleMessage(message, sender, sendResponse));
+  return true;
+});
+
+// Message handler for popup communication
+function handleMessage(message, sender, sendResponse) {
+  // Ping handler - just respond to confirm extension is alive
   if (message.type === 'ping') {
     sendResponse({ alive: true });
     return;
@@ -583,56 +2902,94 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   if (message.type === 'getTabData') {
     chrome.tabs.query({}).then(tabs => {
-      const result = tabs.map(tab => ({
-        id: tab.id,
-        title: tab.title,
-        url: tab.url,
-        favIconUrl: tab.favIconUrl,
-        active: tab.active,
-        ...tabData[tab.id]
-      }));
+      // Number of open copies per tab, for the duplicate marker
+      const duplicateCounts = {};
+      findDuplicateGroups(tabs).forEach(group => {
+        group.forEach(tab => { duplicateCounts[tab.id] = group.length; });
+      });
+      const mergeable = new Set(getDuplicatesToClose(tabs).map(tab => tab.id));
+      
+      const result = tabs.map(tab => {
+        const minutesUntilDelete = getMinutesUntilClose(tab, tabData[tab.id]);
+        return {
+          id: tab.id,
+          title: getCleanTitle(tab.title),
+          url: tab.url,
+          favIconUrl: getOriginalFavicon(tab),
+          active: tab.active,
+          discarded: tab.discarded,
+          pinned: tab.pinned,
+          audible: tab.audible,
+          ...tabData[tab.id],
+          windowId: tab.windowId,
+          index: tab.index,
+          duplicateCount: duplicateCounts[tab.id] || 0,
+          mergeable: mergeable.has(tab.id),
+          ageMinutes: tabData[tab.id] ? getTabAgeMinutes(tabData[tab.id]) : 0,
+          focusedMs: getFocusedMs(tab.id),
+          autoDeleteInMinutes: Number.isFinite(minutesUntilDelete) ? minutesUntilDelete : null,
+          closingSoon: isAboutToClose(minutesUntilDelete),
+          thresholds: getTabSettings(tab.url)
+        };
+      });
       sendResponse({ tabs: result, settings });
     });
     return true; // async response
   }
   
+  if (message.type === 'getSettings') {
+    sendResponse({ settings, defaults: DEFAULT_SETTINGS });
+    return;
+  }
+  
+  if (message.type === 'getProfiles') {
+    sendResponse(getProfilesSummary());
+    return;
+  }
+  
+  if (message.type === 'switchProfile') {
+    switchProfile(message.profileId).then(() => sendResponse(getProfilesSummary()));
+    return true;
+  }
+  
+  if (message.type === 'createProfile') {
+    createProfile(message.name).then(error => sendResponse({ error, ...getProfilesSummary() }));
+    return true;
+  }
+  
+  if (message.type === 'renameProfile') {
+    renameProfile(message.profileId, message.name).then(error => sendResponse({ error, ...getProfilesSummary() }));
+    return true;
+  }
+  
+  if (message.type === 'deleteProfile') {
+    deleteProfile(message.profileId).then(() => sendResponse(getProfilesSummary()));
+    return true;
+  }
+  
+  if (message.type === 'setProfileSync') {
+    setProfileSync(message.enabled === true).then(() => sendResponse(getProfilesSummary()));
+    return true;
+  }
+  
+  if (message.type === 'resetSettings') {
+    resetSettings().then(() => sendResponse({ settings }));
+    return true;
+  }
+  
   if (message.type === 'updateSettings') {
     console.log('[TabAge] Received settings update:', JSON.stringify(message.settings));
-    
-    (async () => {
-      // Merge with current settings
-      const newSettings = { ...settings, ...message.settings };
-      
-      // Update in-memory settings FIRST
-      settings = newSettings;
-      
-      // Persist to storage
-      await chrome.storage.local.set({ settings: newSettings });
-      console.log('[TabAge] Settings saved - fresh:', newSettings.freshThreshold, 
-        'stale:', newSettings.staleThreshold, 'old:', newSettings.oldThreshold,
-        'style:', newSettings.indicatorStyle);
-      
-      // If extension was disabled, restore all original favicons
-      if (newSettings.enabled === false) {
-        console.log('[TabAge] Extension disabled - restoring original favicons');
-        await restoreAllFavicons();
-        sendResponse({ success: true });
-        return;
-      }
-      
-      // Small delay to ensure storage is fully written
-      await new Promise(r => setTimeout(r, 50));
-      
-      // Update all tabs with new settings
-      const tabs = await chrome.tabs.query({});
-      console.log('[TabAge] Updating', tabs.length, 'tabs with new settings');
-      
-      for (const tab of tabs) {
-        await updateTabIndicator(tab.id);
-      }
-      
-      sendResponse({ success: true });
-    })();
+    applySettings(message.settings).then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
+  if (message.type === 'exportData') {
+    sendResponse(buildExport());
+    return true;
+  }
+  
+  if (message.type === 'importData') {
+    importData(message.data).then(sendResponse);
     return true;
   }
   
@@ -641,8 +2998,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   
+  if (message.type === 'groupByAge') {
+    groupTabsByAge().then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
   if (message.type === 'closeOldTabs') {
-    closeOldTabs().then(() => sendResponse({ success: true }));
+    closeOldTabs(message.tabIds).then(() => sendResponse({ success: true }));
     return true;
   }
   
@@ -670,10 +3032,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     (async () => {
       const entry = deletedTabs.find(t => t.id === message.entryId);
       if (entry) {
-        // Create new tab with the URL
-        await chrome.tabs.create({ url: entry.url });
-        // Remove from history
-        deletedTabs = deletedTabs.filter(t => t.id !== message.entryId);
+        await restoreHistoryEntries([entry]);
+        // The row stood for every collapsed copy of the URL; they go with it
+        deletedTabs = deletedTabs.filter(t => t.url !== entry.url);
         await saveDeletedTabs();
       }
       sendResponse({ success: true });
@@ -681,28 +3042,134 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   
+  if (message.type === 'restoreBatch') {
+    undoBatch(message.batchId).then(restored => sendResponse({ success: true, restored }));
+    return true;
+  }
+  
   if (message.type === 'removeFromHistory') {
-    deletedTabs = deletedTabs.filter(t => t.id !== message.entryId);
+    // entryIds removes a collapsed group of same-URL entries at once
+    const ids = new Set(message.entryIds || [message.entryId]);
+    deletedTabs = deletedTabs.filter(t => !ids.has(t.id));
     saveDeletedTabs().then(() => sendResponse({ success: true }));
     return true;
   }
   
+  if (message.type === 'snoozeTab') {
+    (async () => {
+      const wakeAt = getSnoozeWakeTime(message.option, message.minutes);
+      if (!wakeAt) {
+        sendResponse({ success: false, error: 'Invalid snooze time' });
+        return;
+      }
+      try {
+        const entry = await snoozeTab(message.tabId, wakeAt);
+        sendResponse({ success: !!entry, entry });
+      } catch (e) {
+        console.error('[TabAge] Failed to snooze tab:', e);
+        sendResponse({ success: false, error: e.message });
+      }
+    })();
+    return true;
+  }
+  
+  if (message.type === 'mergeDuplicates') {
+    mergeDuplicates().then(closed => sendResponse({ success: true, closed }));
+    return true;
+  }
+  
+  if (message.type === 'bulkAction') {
+    runBulkAction(message.action, message.tabIds || [], message)
+      .then(() => sendResponse({ success: true }))
+      .catch(e => {
+        console.error('[TabAge] Bulk action failed:', message.action, e);
+        sendResponse({ success: false, error: e.message });
+      });
+    return true;
+  }
+  
+  if (message.type === 'getStatsHistory') {
+    chrome.storage.local.get(['statsHistory']).then(stored => {
+      sendResponse({ statsHistory: stored.statsHistory || [] });
+    });
+    return true;
+  }
+  
+  if (message.type === 'getIndicatorPreviews') {
+    // Unsaved edits (message.settings) are previewed on top of the current settings, if their stages are usable
+    const previewSettings = { ...settings, ...(message.settings || {}) };
+    if (validateStages(previewSettings.stages)) previewSettings.stages = settings.stages;
+    const previews = {};
+    (message.styles || []).forEach(style => {
+      previews[style] = getIndicatorPreviewFrames(style, previewSettings);
+    });
+    sendResponse({ previews });
+    return;
+  }
+  
+  if (message.type === 'keepTabs') {
+    keepTabs(message.tabIds || []).then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
+  if (message.type === 'getArchive') {
+    getArchiveEntries()
+      .then(entries => sendResponse({ entries }))
+      .catch(e => sendResponse({ entries: [], error: e.message }));
+    return true;
+  }
+  
+  if (message.type === 'archiveTab') {
+    chrome.tabs.get(message.tabId)
+      .then(tab => archiveTabs([tab], message.tags, message.note))
+      .then(count => sendResponse({ success: count > 0 }))
+      .catch(e => sendResponse({ success: false, error: e.message }));
+    return true;
+  }
+  
+  if (message.type === 'updateArchiveEntry') {
+    updateArchiveEntry(message.id, { tags: message.tags, note: message.note })
+      .then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
+  if (message.type === 'removeArchiveEntry') {
+    removeArchiveEntries([message.id]).then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
+  if (message.type === 'openArchiveEntries') {
+    openArchiveEntries(message.ids).then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
+  if (message.type === 'getSnoozedTabs') {
+    sendResponse({ snoozedTabs });
+    return true;
+  }
+  
+  if (message.type === 'wakeSnoozedTab') {
+    wakeSnoozedTab(message.entryId).then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
+  if (message.type === 'cancelSnooze') {
+    cancelSnooze(message.entryId).then(() => sendResponse({ success: true }));
+    return true;
+  }
+  
   if (message.type === 'clearDeletedHistory') {
     deletedTabs = [];
     saveDeletedTabs().then(() => sendResponse({ success: true }));
     return true;
   }
-});
-
-// Initialize on install/startup
-chrome.runtime.onInstalled.addListener(init);
-chrome.runtime.onStartup.addListener(init);
+}
 
-// Cleanup favicons when browser is closing
-chrome.runtime.onSuspend.addListener(async () => {
-  console.log('[TabAge] Browser suspending - restoring favicons');
-  await restoreAllFavicons();
+// The browser started: the tabs session restore is about to create aren't newly opened
+chrome.runtime.onStartup.addListener(() => {
+  browserStartedAt = Date.now();
 });
 
-// Also init immediately
-init();
+// Initialize once per service worker start (which covers install and browser startup).
+// Every listener awaits this, since a cold wake delivers the event before the stored state is loaded.
+const initialized = init();
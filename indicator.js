@@ -0,0 +1,96 @@
+// Tab Age Tracker - Favicon indicator drawing
+// Shared by the service worker (importScripts, drawing on an OffscreenCanvas) and the options page's previews.
+// Outlines and text use getReadableTextColor from palettes.js, which both load as well.
+
+// Draw the 32x32 indicator icon onto ctx.
+// favicon: a loaded image or ImageBitmap, or null to draw on a blank tile
+// indicator: { color, style, size, minutesInactive, progress, closing }
+//   progress is 0..1 towards the old threshold (used by 'pie' and 'fade')
+function drawIndicatorIcon(ctx, favicon, indicator) {
+  const { color, style, size, minutesInactive, progress, closing } = indicator;
+  ctx.clearRect(0, 0, 32, 32);
+  
+  // The ring goes around a slightly smaller favicon
+  const ringWidth = Math.max(3, Math.round(size / 4));
+  const inset = style === 'ring' ? ringWidth + 1 : 0;
+  
+  if (favicon) {
+    if (style === 'fade') {
+      // Drain the color out of the favicon as the tab ages
+      ctx.filter = `grayscale(${progress}) opacity(${1 - progress * 0.5})`;
+    }
+    ctx.drawImage(favicon, inset, inset, 32 - inset * 2, 32 - inset * 2);
+    ctx.filter = 'none';
+  } else {
+    ctx.fillStyle = '#f0f0f0';
+    ctx.fillRect(inset, inset, 32 - inset * 2, 32 - inset * 2);
+  }
+  
+  // A blank tile has nothing to fade, so 'fade' falls back to the dot there
+  if (style === 'dot' || (style === 'fade' && !favicon)) {
+    // Bottom-right dot - bigger and bolder
+    const dotSize = Math.max(size, 10);
+    ctx.beginPath();
+    ctx.arc(32 - dotSize/2 - 1, 32 - dotSize/2 - 1, dotSize/2, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.strokeStyle = getReadableTextColor(color);
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  } else if (style === 'badge') {
+    // Top-right badge with time - bigger
+    const hours = Math.floor(minutesInactive / 60);
+    const text = hours > 0 ? `${hours}h` : `${Math.floor(minutesInactive)}m`;
+    
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    if (ctx.roundRect) {
+      ctx.roundRect(10, 0, 22, 14, 3);
+    } else {
+      ctx.rect(10, 0, 22, 14);
+    }
+    ctx.fill();
+    
+    ctx.fillStyle = getReadableTextColor(color);
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(text, 21, 11);
+  } else if (style === 'ring') {
+    ctx.beginPath();
+    ctx.arc(16, 16, 16 - ringWidth / 2, 0, Math.PI * 2);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = ringWidth;
+    ctx.stroke();
+  } else if (style === 'pie') {
+    // Bottom-right pie that fills up clockwise until the tab is old
+    const radius = Math.max(size, 10) / 2;
+    const cx = 32 - radius - 1;
+    const cy = 32 - radius - 1;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fill();
+    if (progress > 0) {
+      ctx.beginPath();
+      ctx.moveTo(cx, cy);
+      ctx.arc(cx, cy, radius, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+      ctx.closePath();
+      ctx.fillStyle = color;
+      ctx.fill();
+    }
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.strokeStyle = getReadableTextColor(color);
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+  }
+  
+  // About to be auto-deleted: dashed red frame around the whole icon
+  if (closing) {
+    ctx.setLineDash([6, 3]);
+    ctx.strokeStyle = '#ef4444';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(1.5, 1.5, 29, 29);
+    ctx.setLineDash([]);
+  }
+}
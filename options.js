@@ -0,0 +1,1015 @@
+// Tab Age Tracker - Options Page Script
+// Hosts the full settings form. Unlike the popup it doesn't poll: it renders when opened and again
+// whenever the stored settings change (e.g. a quick toggle in the popup), leaving focused fields alone.
+
+let settings = {};
+let defaultSettings = {};
+let profilesSummary = { profiles: [], activeProfileId: null, sync: { enabled: false, error: null } };
+
+// Time limits for the sleep and auto-delete inputs (minutes), matching their sliders
+const MIN_ACTION_MINUTES = 5;
+const MAX_ACTION_MINUTES = 1440;
+
+// Tracking parameter names: letters, digits, '_', '-' or '.', optionally ending in * for a prefix
+const TRACKING_PARAM_PATTERN = /^[\w.-]+\*?$/;
+
+// Plain on/off settings: [toggle element id, settings key]
+const TOGGLES = [
+  ['badgePerWindowToggle', 'badgePerWindow'],
+  ['pauseWhenIdleToggle', 'pauseWhenIdle'],
+  ['autoFocusDuplicatesToggle', 'autoFocusDuplicates'],
+  ['autoGroupToggle', 'autoGroupEnabled'],
+  ['groupUserTabsToggle', 'groupUserTabs'],
+  ['discardToggle', 'discardEnabled'],
+  ['autoDeleteToggle', 'autoDeleteEnabled'],
+  ['spareEngagedToggle', 'spareEngagedTabs'],
+  ['freezeAgingToggle', 'freezeAgingOffHours'],
+  ['scheduleToggle', 'scheduleEnabled'],
+  ['closeOldToArchiveToggle', 'closeOldToArchive']
+];
+
+// Day choices for a quiet block: presets, then single days
+const BLOCK_DAY_PRESETS = {
+  all: { name: 'Every day', days: [0, 1, 2, 3, 4, 5, 6] },
+  weekdays: { name: 'Weekdays', days: [1, 2, 3, 4, 5] },
+  weekends: { name: 'Weekends', days: [0, 6] }
+};
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Load the settings and their defaults from the background
+async function loadSettings() {
+  const response = await chrome.runtime.sendMessage({ type: 'getSettings' });
+  defaultSettings = response.defaults || {};
+  settings = { ...defaultSettings, ...response.settings };
+  renderSettings();
+}
+
+// Save settings
+async function saveSettings(newSettings) {
+  settings = { ...settings, ...newSettings };
+  await chrome.runtime.sendMessage({ type: 'updateSettings', settings: newSettings });
+}
+
+// Load the settings profiles from the background
+async function loadProfiles() {
+  renderProfiles(await chrome.runtime.sendMessage({ type: 'getProfiles' }));
+}
+
+// Render the profile list and sync state (the list is left alone while a name is being edited)
+let renderedProfilesKey = null;
+function renderProfiles(summary) {
+  profilesSummary = summary;
+  const { profiles, activeProfileId, sync, maxProfiles, maxNameLength } = summary;
+  document.getElementById('profileSyncToggle').classList.toggle('active', sync.enabled);
+  setFieldError('profileSyncError', sync.error);
+  document.getElementById('addProfileBtn').disabled = profiles.length >= maxProfiles;
+  document.getElementById('newProfileInput').maxLength = maxNameLength;
+  
+  const list = document.getElementById('profileList');
+  const key = JSON.stringify([profiles, activeProfileId]);
+  if (key === renderedProfilesKey || list.contains(document.activeElement)) return;
+  renderedProfilesKey = key;
+  
+  list.innerHTML = profiles.map(profile => `
+    <div class="stage-item profile-item ${profile.id === activeProfileId ? 'active' : ''}" data-profile-id="${profile.id}">
+      <input type="text" class="rule-input profile-name" value="${escapeHtml(profile.name)}" maxlength="${maxNameLength}" placeholder="Name">
+      <button class="btn-add-rule profile-use" data-use-profile="${profile.id}">Use</button>
+      <button class="rule-remove" data-delete-profile="${profile.id}" title="Delete profile" ${profiles.length <= 1 ? 'disabled' : ''}>×</button>
+    </div>
+  `).join('');
+}
+
+// Save the current settings as a new profile named in the input
+async function createProfile() {
+  const input = document.getElementById('newProfileInput');
+  const response = await chrome.runtime.sendMessage({ type: 'createProfile', name: input.value });
+  setFieldError('profileError', response.error);
+  input.classList.toggle('invalid', !!response.error);
+  if (response.error) return;
+  input.value = '';
+  renderProfiles(response);
+}
+
+// Set a form control's value unless the user is editing it
+function setFieldValue(id, value) {
+  const field = document.getElementById(id);
+  if (document.activeElement !== field) field.value = value;
+}
+
+// Show or clear the error message under a form field
+function setFieldError(id, error) {
+  const errorEl = document.getElementById(id);
+  errorEl.textContent = error || '';
+  errorEl.classList.toggle('visible', !!error);
+}
+
+// Render every setting into the form
+function renderSettings() {
+  document.getElementById('enableToggle').classList.toggle('active', settings.enabled !== false);
+  
+  renderStages();
+  
+  // Indicator
+  document.querySelectorAll('.style-option').forEach(opt => {
+    opt.classList.toggle('active', opt.dataset.style === (settings.indicatorStyle || 'dot'));
+  });
+  setFieldValue('indicatorSizeSlider', settings.indicatorSize);
+  document.getElementById('indicatorSizeValue').textContent = `${settings.indicatorSize} px`;
+  
+  renderPaletteOptions();
+  const palette = (PALETTES[settings.palette] || settings.palette === 'custom') ? settings.palette : 'default';
+  document.querySelectorAll('.palette-option').forEach(opt => {
+    opt.classList.toggle('active', opt.dataset.palette === palette);
+  });
+  
+  document.querySelectorAll('[data-badge]').forEach(opt => {
+    opt.classList.toggle('active', opt.dataset.badge === (settings.badgeMode || 'old'));
+  });
+  
+  // Plain on/off settings
+  TOGGLES.forEach(([id, key]) => {
+    document.getElementById(id).classList.toggle('active', !!settings[key]);
+  });
+  document.getElementById('discardSettings').classList.toggle('visible', !!settings.discardEnabled);
+  document.getElementById('autoDeleteSettings').classList.toggle('visible', !!settings.autoDeleteEnabled);
+  
+  setFieldValue('trackingParamsInput', (settings.trackingParams || []).join(', '));
+  
+  // Sleep and auto-delete times
+  setFieldValue('discardSlider', settings.discardThreshold);
+  setFieldValue('discardValue', formatSliderValue(settings.discardThreshold));
+  setFieldValue('autoDeleteSlider', settings.autoDeleteThreshold);
+  setFieldValue('autoDeleteValue', formatSliderValue(settings.autoDeleteThreshold));
+  setFieldValue('autoDeleteWarningSelect', String(settings.autoDeleteWarningMinutes ?? 10));
+  setFieldValue('engagedThresholdSelect', String(settings.engagedThreshold || 30));
+  
+  // History retention
+  setFieldValue('historyMaxEntriesSelect', String(settings.historyMaxEntries ?? 200));
+  setFieldValue('historyMaxAgeSelect', String(settings.historyMaxAgeDays ?? 30));
+  
+  renderSchedule();
+  renderDomainRules();
+  renderPreviews();
+}
+
+// Render the working hours and the auto-delete / sleep schedule
+function renderSchedule() {
+  document.querySelectorAll('.day-option').forEach(opt => {
+    opt.classList.toggle('active', (settings.scheduleDays || []).includes(parseInt(opt.dataset.day)));
+  });
+  setFieldValue('scheduleStartInput', settings.scheduleStart);
+  setFieldValue('scheduleEndInput', settings.scheduleEnd);
+  
+  document.getElementById('scheduleSettings').classList.toggle('visible', !!settings.scheduleEnabled);
+  document.querySelectorAll('.schedule-mode-option').forEach(opt => {
+    opt.classList.toggle('active', opt.dataset.mode === (settings.scheduleMode || 'hours'));
+  });
+  document.getElementById('sweepTimesSettings').classList.toggle('visible', settings.scheduleMode === 'times');
+  setFieldValue('sweepTimesInput', (settings.scheduleSweepTimes || []).join(', '));
+  
+  renderQuietBlocks();
+  renderScheduleNext();
+}
+
+// Say when auto-delete and sleeping run next with the saved schedule
+function renderScheduleNext() {
+  const now = new Date();
+  const next = isAutoActionTime(settings, now) ? now : findScheduleMinute(now, date => isAutoActionTime(settings, date));
+  let text = 'With this schedule auto-delete and sleeping never run.';
+  if (next === now) {
+    text = 'Auto-delete and sleeping may run now.';
+  } else if (next) {
+    const day = next.toDateString() === now.toDateString() ? 'today' : next.toLocaleDateString(undefined, { weekday: 'long' });
+    text = `Auto-delete and sleeping next run ${day} at ${formatClockTime(next.getHours() * 60 + next.getMinutes())}.`;
+  }
+  document.getElementById('scheduleNext').textContent = text;
+}
+
+// Value of a quiet block's day picker: a preset, or a single day
+function getBlockDaysValue(days) {
+  const key = [...days].sort().join(',');
+  const preset = Object.keys(BLOCK_DAY_PRESETS).find(name => BLOCK_DAY_PRESETS[name].days.join(',') === key);
+  return preset || (days.length === 1 ? String(days[0]) : 'all');
+}
+
+// Render the quiet blocks editor (skipped when nothing changed, or while a block is being edited)
+let renderedBlocksJson = null;
+function renderQuietBlocks() {
+  const blocks = settings.scheduleBlocks || [];
+  const json = JSON.stringify(blocks);
+  const container = document.getElementById('blocksList');
+  if (json === renderedBlocksJson || container.contains(document.activeElement)) return;
+  renderedBlocksJson = json;
+  setFieldError('blocksError', null);
+  
+  if (blocks.length === 0) {
+    container.innerHTML = '<div class="rules-empty">No quiet blocks.</div>';
+    return;
+  }
+  
+  const dayOptions = (selected) => [
+    ...Object.entries(BLOCK_DAY_PRESETS).map(([value, preset]) => [value, preset.name]),
+    ...DAY_NAMES.map((name, day) => [String(day), name])
+  ].map(([value, name]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${name}</option>`).join('');
+  
+  container.innerHTML = blocks.map((block, index) => `
+    <div class="stage-item block-item" data-block-index="${index}">
+      <select class="rule-mode block-days">${dayOptions(getBlockDaysValue(block.days || []))}</select>
+      <input type="time" class="rule-input" data-field="start" value="${escapeHtml(block.start || '')}">
+      <span>to</span>
+      <input type="time" class="rule-input" data-field="end" value="${escapeHtml(block.end || '')}">
+      <button class="rule-remove" data-remove-block="${index}" title="Remove block">×</button>
+    </div>
+  `).join('');
+}
+
+// Read the quiet blocks back from the editor. Returns { blocks } or { error }.
+function collectQuietBlocks() {
+  const blocks = [];
+  let error = null;
+  
+  document.querySelectorAll('#blocksList .block-item').forEach((item, index) => {
+    const value = item.querySelector('.block-days').value;
+    const block = {
+      days: BLOCK_DAY_PRESETS[value] ? BLOCK_DAY_PRESETS[value].days : [parseInt(value)],
+      start: item.querySelector('[data-field="start"]').value,
+      end: item.querySelector('[data-field="end"]').value
+    };
+    const complete = parseClockTime(block.start) !== null && parseClockTime(block.end) !== null;
+    item.classList.toggle('invalid', !complete);
+    if (!complete) error = error || `Quiet block ${index + 1} needs a start and end time`;
+    blocks.push(block);
+  });
+  
+  return error ? { error } : { blocks };
+}
+
+// Persist the quiet blocks editor if every block is complete. Returns whether it saved.
+function saveQuietBlocks() {
+  const { blocks, error } = collectQuietBlocks();
+  setFieldError('blocksError', error);
+  if (error) return false;
+  renderedBlocksJson = JSON.stringify(blocks);
+  saveSettings({ scheduleBlocks: blocks });
+  renderScheduleNext();
+  return true;
+}
+
+// Save the working hours if both times are set
+function saveWorkingHours() {
+  const start = document.getElementById('scheduleStartInput').value;
+  const end = document.getElementById('scheduleEndInput').value;
+  const error = parseClockTime(start) === null || parseClockTime(end) === null ? 'Enter a start and end time' : null;
+  setFieldError('scheduleHoursError', error);
+  if (error) return;
+  saveSettings({ scheduleStart: start, scheduleEnd: end });
+  renderScheduleNext();
+}
+
+// Build the palette picker from the shared presets, plus a custom entry showing the stages' own colors
+// (skipped when those haven't changed)
+let renderedPaletteKey = null;
+function renderPaletteOptions() {
+  const customColors = (settings.stages || []).map(stage => stage.color);
+  const key = customColors.join(',');
+  if (key === renderedPaletteKey) return;
+  renderedPaletteKey = key;
+  
+  const options = [
+    ...Object.entries(PALETTES).map(([key, palette]) => ({ key, name: palette.name, stops: palette.stops })),
+    { key: 'custom', name: 'Custom', stops: customColors }
+  ];
+  
+  document.getElementById('paletteOptions').innerHTML = options.map(option => `
+    <button class="palette-option" data-palette="${option.key}">
+      <span class="palette-swatch">${option.stops.map(color => `<span style="background: ${color}"></span>`).join('')}</span>
+      <span>${escapeHtml(option.name)}</span>
+    </button>
+  `).join('');
+}
+
+// Render the age stage editor and the Close Old stage picker.
+// Skipped when nothing changed, or while a stage is being edited, so edits aren't clobbered.
+let renderedStagesKey = null;
+function renderStages() {
+  const stages = getColoredStages(settings);
+  const key = JSON.stringify([stages, settings.closeOldStage]);
+  if (key === renderedStagesKey || document.getElementById('stageList').contains(document.activeElement)) return;
+  renderedStagesKey = key;
+  
+  document.getElementById('stageList').innerHTML = stages.map((stage, index) => `
+    <div class="stage-item" data-stage-index="${index}">
+      <input type="color" class="stage-color" value="${stage.color}" title="Stage color">
+      <input type="text" class="rule-input stage-name" value="${escapeHtml(stage.name)}" maxlength="${MAX_STAGE_NAME_LENGTH}" placeholder="Name">
+      <input type="text" class="rule-input stage-minutes" value="${formatSliderValue(stage.minutes)}" title="Inactive for up to">
+      <button class="stage-move" data-move-stage="${index}" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+      <button class="stage-move" data-move-stage="${index}" data-direction="1" title="Move down" ${index === stages.length - 1 ? 'disabled' : ''}>↓</button>
+      <button class="rule-remove" data-remove-stage="${index}" title="Remove stage" ${stages.length <= 2 ? 'disabled' : ''}>×</button>
+    </div>
+  `).join('');
+  document.getElementById('addStageBtn').disabled = stages.length >= MAX_STAGES;
+  setFieldError('stageError', null);
+  setFieldError('stageNote', null);
+  
+  const closeIndex = getCloseStageIndex(settings);
+  document.getElementById('closeOldStageSelect').innerHTML = stages.map((stage, index) => `
+    <option value="${escapeHtml(stage.name)}" ${index === closeIndex ? 'selected' : ''}>${escapeHtml(stage.name)}</option>
+  `).join('');
+}
+
+// Read the stages back from the editor, marking unparseable times.
+// Colors are only taken from the editor with the custom palette; otherwise it shows palette colors
+// and the stages keep the custom colors they have.
+function collectStages() {
+  return [...document.querySelectorAll('#stageList .stage-item')].map(item => {
+    const index = parseInt(item.dataset.stageIndex);
+    const minutesInput = item.querySelector('.stage-minutes');
+    const minutes = parseTimeInput(minutesInput.value);
+    minutesInput.classList.toggle('invalid', minutes === null);
+    
+    const color = settings.palette === 'custom' || !settings.stages[index]
+      ? item.querySelector('.stage-color').value
+      : settings.stages[index].color;
+    return { name: item.querySelector('.stage-name').value.trim(), minutes: minutes ?? NaN, color };
+  });
+}
+
+// Save an edited stage list if it's valid. renames maps old stage names to new ones so Close Old
+// and the domain rules' stage times follow a renamed stage; rule times of removed stages are dropped.
+function saveStages(stages, renames = new Map(), extraSettings = {}) {
+  const error = validateStages(stages);
+  setFieldError('stageError', error);
+  if (error) return false;
+  
+  const names = new Set(stages.map(stage => stage.name));
+  const rename = (name) => renames.has(name) ? renames.get(name) : name;
+  const domainRules = (settings.domainRules || []).map(rule => {
+    if (!rule.stageMinutes) return rule;
+    const stageMinutes = {};
+    Object.entries(rule.stageMinutes).forEach(([name, minutes]) => {
+      if (names.has(rename(name))) stageMinutes[rename(name)] = minutes;
+    });
+    return { ...rule, stageMinutes };
+  });
+  const closeOldStage = rename(settings.closeOldStage);
+  
+  saveSettings({
+    stages,
+    closeOldStage: names.has(closeOldStage) ? closeOldStage : stages[stages.length - 1].name,
+    domainRules,
+    ...extraSettings
+  });
+  renderedStagesKey = null;
+  renderSettings();
+  return true;
+}
+
+// Save the stage editor's current rows, following renames of the rows' stages
+function saveEditedStages(extraSettings) {
+  const stages = collectStages();
+  const renames = new Map();
+  stages.forEach((stage, i) => {
+    const previous = settings.stages[i];
+    if (previous && previous.name !== stage.name) renames.set(previous.name, stage.name);
+  });
+  return saveStages(stages, renames, extraSettings);
+}
+
+// Live indicator preview: the style options and the larger preview animate a tab aging from the
+// first stage to a bit past the last. Frames come from the background so they use the same colors and
+// steps as real tabs; unsaved edits (e.g. while dragging the size slider) are passed along as overrides.
+let previewKey = null;
+let previewFrames = {};
+let previewTimer = null;
+let previewFrameIndex = 0;
+const PREVIEW_FRAME_MS = 400;
+const previewFavicon = new Image();
+previewFavicon.src = 'icons/icon48.png';
+
+async function renderPreviews(overrides = {}) {
+  const previewSettings = { ...settings, ...overrides };
+  const key = JSON.stringify([previewSettings.stages, previewSettings.palette, previewSettings.indicatorSize]);
+  
+  if (key !== previewKey) {
+    previewKey = key;
+    const response = await chrome.runtime.sendMessage({
+      type: 'getIndicatorPreviews',
+      styles: [...document.querySelectorAll('.style-option')].map(opt => opt.dataset.style),
+      settings: overrides
+    });
+    previewFrames = response.previews || {};
+  }
+  
+  clearInterval(previewTimer);
+  const stages = validateStages(previewSettings.stages) ? settings.stages : previewSettings.stages;
+  const drawFrame = () => {
+    document.querySelectorAll('.style-option').forEach(opt => {
+      const frames = previewFrames[opt.dataset.style] || [];
+      if (frames.length === 0) return;
+      drawPreviewFrame(opt, frames[previewFrameIndex % frames.length]);
+    });
+    
+    const frames = previewFrames[previewSettings.indicatorStyle] || [];
+    if (frames.length > 0) {
+      const frame = frames[previewFrameIndex % frames.length];
+      drawPreviewTab(frame);
+      const stage = stages[getStageIndex(frame.minutesInactive, stages)];
+      document.getElementById('previewAge').textContent = `${formatSliderValue(frame.minutesInactive)} · ${stage.name}`;
+    }
+    previewFrameIndex++;
+  };
+  drawFrame();
+  previewTimer = setInterval(drawFrame, PREVIEW_FRAME_MS);
+}
+
+// Draw one frame into a style option
+function drawPreviewFrame(opt, frame) {
+  if (frame.style === 'title') {
+    opt.querySelector('.style-title-preview').textContent = frame.titlePrefix.trim();
+  } else {
+    const ctx = opt.querySelector('canvas').getContext('2d');
+    drawIndicatorIcon(ctx, previewFavicon.complete ? previewFavicon : null, frame);
+  }
+}
+
+// Draw one frame of the selected style into the large icon and the example tab
+function drawPreviewTab(frame) {
+  const favicon = previewFavicon.complete ? previewFavicon : null;
+  ['previewCanvas', 'previewTabCanvas'].forEach(id => {
+    const ctx = document.getElementById(id).getContext('2d');
+    if (frame.style === 'title') {
+      // The title style leaves the favicon alone
+      ctx.clearRect(0, 0, 32, 32);
+      if (favicon) ctx.drawImage(favicon, 0, 0, 32, 32);
+    } else {
+      drawIndicatorIcon(ctx, favicon, frame);
+    }
+  });
+  document.getElementById('previewTabTitle').textContent = `${frame.titlePrefix || ''}Example page`;
+}
+
+// Render the domain rules editor.
+// Skipped when nothing changed, or while a rule is being edited, so edits aren't clobbered.
+let renderedRulesJson = null;
+function renderDomainRules() {
+  const rules = settings.domainRules || [];
+  const stageNames = (settings.stages || []).map(stage => stage.name);
+  const json = JSON.stringify([rules, stageNames]);
+  const container = document.getElementById('rulesList');
+  if (json === renderedRulesJson || container.contains(document.activeElement)) return;
+  renderedRulesJson = json;
+  setFieldError('rulesError', null);
+  
+  if (rules.length === 0) {
+    container.innerHTML = '<div class="rules-empty">No rules yet. Global stage times apply to every tab.</div>';
+    return;
+  }
+  
+  const timeInput = (value, attribute, label) => `
+    <label class="rule-field">
+      <span>${escapeHtml(label)}</span>
+      <input type="text" class="rule-input" ${attribute} placeholder="default"
+        value="${Number.isFinite(value) && value > 0 ? formatSliderValue(value) : ''}">
+    </label>
+  `;
+  
+  container.innerHTML = rules.map((rule, index) => `
+    <div class="rule-item" data-rule-index="${index}">
+      <div class="rule-row">
+        <input type="text" class="rule-pattern" data-field="pattern" placeholder="*.example.com" value="${escapeHtml(rule.pattern || '')}">
+        <select class="rule-mode" data-field="mode">
+          <option value="default" ${rule.mode === 'default' || !rule.mode ? 'selected' : ''}>Custom times</option>
+          <option value="protect" ${rule.mode === 'protect' ? 'selected' : ''}>Never close</option>
+          <option value="aggressive" ${rule.mode === 'aggressive' ? 'selected' : ''}>Close early</option>
+        </select>
+        <button class="rule-remove" data-remove-rule="${index}" title="Remove rule">×</button>
+      </div>
+      <div class="rule-row stage-fields">
+        ${stageNames.map(name => timeInput(rule.stageMinutes?.[name], `data-stage="${escapeHtml(name)}"`, name)).join('')}
+        ${timeInput(rule.discardThreshold, 'data-field="discardThreshold"', 'Sleep')}
+        ${timeInput(rule.autoDeleteThreshold, 'data-field="autoDeleteThreshold"', 'Delete')}
+      </div>
+    </div>
+  `).join('');
+}
+
+// Read the rules back from the editor, marking invalid fields.
+// Returns { rules } or { error } with a message for the first problem found.
+function collectDomainRules() {
+  const rules = [];
+  let error = null;
+  
+  document.querySelectorAll('#rulesList .rule-item').forEach((item, index) => {
+    const rule = {
+      pattern: item.querySelector('[data-field="pattern"]').value.trim(),
+      mode: item.querySelector('[data-field="mode"]').value,
+      stageMinutes: {}
+    };
+    const label = rule.pattern || `Rule ${index + 1}`;
+    
+    item.querySelectorAll('.rule-input').forEach(input => {
+      input.classList.remove('invalid');
+      if (input.value.trim() === '') return;
+      const minutes = parseTimeInput(input.value);
+      if (minutes === null) {
+        input.classList.add('invalid');
+        error = error || `${label}: "${input.value.trim()}" isn't a time (try 45m, 2h or 1d)`;
+        return;
+      }
+      if (input.dataset.stage !== undefined) {
+        rule.stageMinutes[input.dataset.stage] = minutes;
+      } else {
+        rule[input.dataset.field] = minutes;
+      }
+    });
+    
+    // The merged stage times must still increase from stage to stage
+    const merged = settings.stages.map(stage => rule.stageMinutes[stage.name] || stage.minutes);
+    const ordered = merged.every((minutes, i) => i === 0 || minutes > merged[i - 1]);
+    item.classList.toggle('invalid', !ordered);
+    if (!ordered) error = error || `${label}: stage times must increase from stage to stage`;
+    if (rule.discardThreshold >= (rule.autoDeleteThreshold || settings.autoDeleteThreshold)) {
+      item.classList.add('invalid');
+      error = error || `${label}: sleep must come before delete`;
+    }
+    
+    rules.push(rule);
+  });
+  
+  return error ? { error } : { rules };
+}
+
+// Persist the rules editor if every rule is valid. Returns whether it was saved.
+function saveDomainRules() {
+  const { rules, error } = collectDomainRules();
+  setFieldError('rulesError', error);
+  if (error) return false;
+  renderedRulesJson = JSON.stringify([rules, settings.stages.map(stage => stage.name)]);
+  saveSettings({ domainRules: rules });
+  return true;
+}
+
+// Check a sleep or auto-delete time typed by the user. Sleeping must happen before auto-delete
+// while both are on, so each is checked against the other. Returns an error message or null.
+function validateActionTime(key, minutes) {
+  if (minutes === null) return 'Enter a time like 45m, 2h or 1d';
+  if (minutes < MIN_ACTION_MINUTES || minutes > MAX_ACTION_MINUTES) {
+    return `Must be between ${formatSliderValue(MIN_ACTION_MINUTES)} and ${formatSliderValue(MAX_ACTION_MINUTES)}`;
+  }
+  if (settings.discardEnabled && settings.autoDeleteEnabled) {
+    if (key === 'discardThreshold' && minutes >= settings.autoDeleteThreshold) {
+      return `Must be shorter than auto-delete (${formatSliderValue(settings.autoDeleteThreshold)})`;
+    }
+    if (key === 'autoDeleteThreshold' && minutes <= settings.discardThreshold) {
+      return `Must be longer than sleep (${formatSliderValue(settings.discardThreshold)})`;
+    }
+  }
+  return null;
+}
+
+// Wire a slider + stepper + text input trio for a sleep or auto-delete time
+function bindActionTime(key, sliderId, valueId, errorId) {
+  const slider = document.getElementById(sliderId);
+  const valueInput = document.getElementById(valueId);
+  const stepper = valueInput.closest('.value-stepper');
+  
+  const apply = (minutes) => {
+    const error = validateActionTime(key, minutes);
+    setFieldError(errorId, error);
+    stepper.classList.toggle('invalid', !!error);
+    if (error) return;
+    slider.value = minutes;
+    valueInput.value = formatSliderValue(minutes);
+    saveSettings({ [key]: minutes });
+  };
+  
+  slider.addEventListener('input', () => {
+    valueInput.value = formatSliderValue(parseInt(slider.value));
+  });
+  slider.addEventListener('change', () => apply(parseInt(slider.value)));
+  valueInput.addEventListener('change', () => apply(parseTimeInput(valueInput.value)));
+  valueInput.addEventListener('focus', () => valueInput.select());
+}
+
+// File name for exports: tab-age-tracker-2024-05-01.<ext>
+function exportFileName(extension) {
+  return `tab-age-tracker-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+// CSV with one row per open, snoozed or closed tab
+function buildCsvExport(data) {
+  const iso = (ts) => ts ? new Date(ts).toISOString() : '';
+  const rows = [['status', 'title', 'url', 'created_at', 'last_active_at', 'closed_at', 'auto_deleted', 'wake_at']];
+  
+  Object.values(data.tabData || {}).forEach(tab => {
+    rows.push(['open', tab.title, tab.url, iso(tab.createdAt), iso(tab.lastActiveAt), '', '', '']);
+  });
+  (data.snoozedTabs || []).forEach(entry => {
+    rows.push(['snoozed', entry.title, entry.url, '', '', iso(entry.snoozedAt), '', iso(entry.wakeAt)]);
+  });
+  (data.deletedTabs || []).forEach(entry => {
+    rows.push(['closed', entry.title, entry.url, '', iso(entry.lastActiveAt), iso(entry.deletedAt), entry.autoDeleted ? 'yes' : 'no', '']);
+  });
+  
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+// Netscape bookmark file with the closed tabs, importable by any browser
+function buildBookmarksExport(data) {
+  const seconds = (ts) => Math.floor((ts || Date.now()) / 1000);
+  const items = (data.deletedTabs || []).map(entry =>
+    `        <DT><A HREF="${escapeHtml(entry.url)}" ADD_DATE="${seconds(entry.deletedAt)}">${escapeHtml(entry.title || entry.url)}</A>`
+  );
+  
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    `    <DT><H3 ADD_DATE="${seconds(data.exportedAt)}">Tab Age Tracker - Closed Tabs</H3>`,
+    '    <DL><p>',
+    ...items,
+    '    </DL><p>',
+    '</DL><p>',
+    ''
+  ].join('\n');
+}
+
+// Export data in the chosen format
+async function exportData(format) {
+  const data = await chrome.runtime.sendMessage({ type: 'exportData' });
+  
+  if (format === 'json') {
+    downloadFile(exportFileName('json'), JSON.stringify(data, null, 2), 'application/json');
+  } else if (format === 'csv') {
+    downloadFile(exportFileName('csv'), buildCsvExport(data), 'text/csv');
+  } else if (format === 'html') {
+    downloadFile(exportFileName('html'), buildBookmarksExport(data), 'text/html');
+  }
+}
+
+// Import a JSON export file
+async function importDataFile(file) {
+  const status = document.getElementById('importStatus');
+  status.className = 'import-status';
+  
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (e) {
+    status.textContent = 'Import failed: file is not valid JSON';
+    status.classList.add('error');
+    return;
+  }
+  
+  const result = await chrome.runtime.sendMessage({ type: 'importData', data });
+  if (!result.success) {
+    status.textContent = `Import failed: ${result.errors.join('; ')}`;
+    status.classList.add('error');
+    return;
+  }
+  
+  const parts = [`${result.historyAdded} history entries added`];
+  if (result.settingsApplied) parts.push('settings applied');
+  if (result.errors.length > 0) parts.push(`${result.errors.length} skipped`);
+  status.textContent = `Imported: ${parts.join(', ')}`;
+  status.title = result.errors.join('\n');
+  status.classList.add('success');
+  
+  renderedRulesJson = null;
+  renderedStagesKey = null;
+  renderedBlocksJson = null;
+  loadSettings();
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+  
+  loadProfiles();
+  
+  // Settings or profiles changed elsewhere (the popup, an import, another options tab, another machine)
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes.settings) {
+      settings = { ...defaultSettings, ...changes.settings.newValue };
+      renderSettings();
+    }
+    if (changes.profiles || changes.activeProfileId || changes.profileSync) {
+      loadProfiles();
+    }
+  });
+  
+  // Profiles
+  const profileList = document.getElementById('profileList');
+  profileList.addEventListener('change', async (e) => {
+    if (!e.target.classList.contains('profile-name')) return;
+    const profileId = e.target.closest('.profile-item').dataset.profileId;
+    const response = await chrome.runtime.sendMessage({ type: 'renameProfile', profileId, name: e.target.value });
+    setFieldError('profileError', response.error);
+    e.target.classList.toggle('invalid', !!response.error);
+    if (!response.error) renderProfiles(response);
+  });
+  profileList.addEventListener('click', async (e) => {
+    const useBtn = e.target.closest('[data-use-profile]');
+    const deleteBtn = e.target.closest('[data-delete-profile]');
+    if (useBtn) {
+      renderProfiles(await chrome.runtime.sendMessage({ type: 'switchProfile', profileId: useBtn.dataset.useProfile }));
+    } else if (deleteBtn) {
+      const profile = profilesSummary.profiles.find(p => p.id === deleteBtn.dataset.deleteProfile);
+      if (!profile || !confirm(`Delete the profile "${profile.name}"?`)) return;
+      renderProfiles(await chrome.runtime.sendMessage({ type: 'deleteProfile', profileId: profile.id }));
+    }
+  });
+  
+  document.getElementById('addProfileBtn').addEventListener('click', createProfile);
+  document.getElementById('newProfileInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') createProfile();
+  });
+  
+  document.getElementById('profileSyncToggle').addEventListener('click', async () => {
+    const enabled = !profilesSummary.sync.enabled;
+    renderProfiles(await chrome.runtime.sendMessage({ type: 'setProfileSync', enabled }));
+  });
+  
+  // Enable toggle
+  document.getElementById('enableToggle').addEventListener('click', () => {
+    const toggle = document.getElementById('enableToggle');
+    const enabled = !toggle.classList.contains('active');
+    toggle.classList.toggle('active', enabled);
+    saveSettings({ enabled });
+  });
+  
+  // Plain on/off settings
+  TOGGLES.forEach(([id, key]) => {
+    document.getElementById(id).addEventListener('click', () => {
+      const toggle = document.getElementById(id);
+      const enabled = !toggle.classList.contains('active');
+      toggle.classList.toggle('active', enabled);
+      saveSettings({ [key]: enabled });
+      renderSettings();
+    });
+  });
+  
+  // Age stage editor
+  const stageList = document.getElementById('stageList');
+  stageList.addEventListener('focusin', (e) => {
+    if (e.target.classList.contains('rule-input')) e.target.select();
+  });
+  stageList.addEventListener('change', (e) => {
+    // Picking a color switches to the custom palette, starting from the colors shown
+    const pickedColor = e.target.classList.contains('stage-color');
+    if (pickedColor) settings = { ...settings, palette: 'custom' };
+    saveEditedStages(pickedColor ? { palette: 'custom' } : {});
+  });
+  stageList.addEventListener('input', () => {
+    // Preview valid edits while typing
+    const stages = collectStages();
+    if (!validateStages(stages)) renderPreviews({ stages });
+  });
+  stageList.addEventListener('click', (e) => {
+    const moveBtn = e.target.closest('[data-move-stage]');
+    const removeBtn = e.target.closest('[data-remove-stage]');
+    if (moveBtn) {
+      // Names and colors move; the times stay in place so they keep increasing. The domain rules'
+      // stage times stay in place too (they must fit between the global ones), so they swap names.
+      // Close Old keeps following its stage.
+      const index = parseInt(moveBtn.dataset.moveStage);
+      const other = index + parseInt(moveBtn.dataset.direction);
+      const stages = settings.stages.map(stage => ({ ...stage }));
+      if (!stages[other]) return;
+      const [name, otherName] = [stages[index].name, stages[other].name];
+      [stages[index].name, stages[other].name] = [otherName, name];
+      [stages[index].color, stages[other].color] = [stages[other].color, stages[index].color];
+      const movedRules = (settings.domainRules || []).filter(rule =>
+        rule.stageMinutes && (name in rule.stageMinutes || otherName in rule.stageMinutes)).length;
+      moveBtn.blur();
+      const saved = saveStages(stages, new Map([[name, otherName], [otherName, name]]), { closeOldStage: settings.closeOldStage });
+      if (saved && movedRules > 0) {
+        setFieldError('stageNote', `${movedRules} domain rule${movedRules === 1 ? '' : 's'} set times for "${name}" or "${otherName}" - ` +
+          'those times stayed in place, so they now apply to the stage shown there');
+      }
+    } else if (removeBtn) {
+      const index = parseInt(removeBtn.dataset.removeStage);
+      removeBtn.blur();
+      saveStages(settings.stages.filter((stage, i) => i !== index));
+    }
+  });
+  
+  document.getElementById('addStageBtn').addEventListener('click', () => {
+    const stages = settings.stages.map(stage => ({ ...stage }));
+    const last = stages[stages.length - 1];
+    let number = stages.length + 1;
+    while (stages.some(stage => stage.name.toLowerCase() === `stage ${number}`)) number++;
+    stages.push({ name: `Stage ${number}`, minutes: last.minutes * 2, color: last.color });
+    saveStages(stages);
+  });
+  
+  document.getElementById('closeOldStageSelect').addEventListener('change', (e) => {
+    saveSettings({ closeOldStage: e.target.value });
+  });
+  
+  // Indicator style, size and colors
+  document.querySelectorAll('.style-option').forEach(opt => {
+    opt.addEventListener('click', () => {
+      saveSettings({ indicatorStyle: opt.dataset.style });
+      renderSettings();
+    });
+  });
+  
+  const sizeSlider = document.getElementById('indicatorSizeSlider');
+  sizeSlider.addEventListener('input', () => {
+    const size = parseInt(sizeSlider.value);
+    document.getElementById('indicatorSizeValue').textContent = `${size} px`;
+    renderPreviews({ indicatorSize: size });
+  });
+  sizeSlider.addEventListener('change', () => {
+    saveSettings({ indicatorSize: parseInt(sizeSlider.value) });
+  });
+  
+  document.getElementById('paletteOptions').addEventListener('click', (e) => {
+    const option = e.target.closest('.palette-option');
+    if (!option) return;
+    saveSettings({ palette: option.dataset.palette });
+    renderedStagesKey = null;
+    renderSettings();
+  });
+  
+  // Toolbar badge options
+  document.querySelectorAll('[data-badge]').forEach(opt => {
+    opt.addEventListener('click', () => {
+      saveSettings({ badgeMode: opt.dataset.badge });
+      renderSettings();
+    });
+  });
+  
+  // Duplicate settings
+  const trackingParamsInput = document.getElementById('trackingParamsInput');
+  trackingParamsInput.addEventListener('change', () => {
+    const params = trackingParamsInput.value.split(',').map(p => p.trim()).filter(Boolean);
+    const invalid = params.find(p => !TRACKING_PARAM_PATTERN.test(p));
+    setFieldError('trackingParamsError', invalid ? `"${invalid}" isn't a parameter name (* may only end a name)` : null);
+    trackingParamsInput.classList.toggle('invalid', !!invalid);
+    if (invalid) return;
+    saveSettings({ trackingParams: params });
+  });
+  
+  // Sleep and auto-delete times
+  bindActionTime('discardThreshold', 'discardSlider', 'discardValue', 'discardError');
+  bindActionTime('autoDeleteThreshold', 'autoDeleteSlider', 'autoDeleteValue', 'autoDeleteError');
+  
+  // Stepper button handlers
+  document.querySelectorAll('.stepper-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const slider = document.getElementById(btn.dataset.target);
+      const min = parseInt(slider.min);
+      const max = parseInt(slider.max);
+      let value = parseInt(slider.value);
+      
+      // Determine step size based on current value
+      let step = 1;
+      if (value >= 60) step = 5;
+      if (value >= 120) step = 10;
+      if (value >= 480) step = 30;
+      
+      if (btn.dataset.action === 'increase') {
+        value = Math.min(max, value + step);
+      } else {
+        value = Math.max(min, value - step);
+      }
+      
+      slider.value = value;
+      slider.dispatchEvent(new Event('input'));
+      slider.dispatchEvent(new Event('change'));
+    });
+  });
+  
+  // Plain selects
+  [
+    ['autoDeleteWarningSelect', 'autoDeleteWarningMinutes'],
+    ['engagedThresholdSelect', 'engagedThreshold'],
+    ['historyMaxEntriesSelect', 'historyMaxEntries'],
+    ['historyMaxAgeSelect', 'historyMaxAgeDays']
+  ].forEach(([id, key]) => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      saveSettings({ [key]: parseInt(e.target.value) });
+    });
+  });
+  
+  // Working hours
+  document.querySelectorAll('.day-option').forEach(opt => {
+    opt.addEventListener('click', () => {
+      const day = parseInt(opt.dataset.day);
+      const days = settings.scheduleDays.includes(day)
+        ? settings.scheduleDays.filter(d => d !== day)
+        : [...settings.scheduleDays, day].sort();
+      const error = days.length === 0 ? 'Pick at least one working day' : null;
+      setFieldError('scheduleHoursError', error);
+      if (error) return;
+      saveSettings({ scheduleDays: days });
+      renderSchedule();
+    });
+  });
+  
+  document.getElementById('scheduleStartInput').addEventListener('change', saveWorkingHours);
+  document.getElementById('scheduleEndInput').addEventListener('change', saveWorkingHours);
+  
+  // Auto-delete / sleep schedule
+  document.querySelectorAll('.schedule-mode-option').forEach(opt => {
+    opt.addEventListener('click', () => {
+      saveSettings({ scheduleMode: opt.dataset.mode });
+      renderSchedule();
+    });
+  });
+  
+  const sweepTimesInput = document.getElementById('sweepTimesInput');
+  sweepTimesInput.addEventListener('change', () => {
+    const entries = sweepTimesInput.value.split(',').map(t => t.trim()).filter(Boolean);
+    const invalid = entries.find(t => parseClockTime(t) === null);
+    const error = invalid
+      ? `"${invalid}" isn't a time (use HH:MM, e.g. 18:00)`
+      : (entries.length === 0 ? 'Add at least one time' : null);
+    setFieldError('sweepTimesError', error);
+    sweepTimesInput.classList.toggle('invalid', !!error);
+    if (error) return;
+    
+    const minutes = [...new Set(entries.map(parseClockTime))].sort((a, b) => a - b);
+    saveSettings({ scheduleSweepTimes: minutes.map(formatClockTime) });
+    renderSchedule();
+  });
+  
+  // Quiet blocks editor
+  const blocksList = document.getElementById('blocksList');
+  blocksList.addEventListener('change', saveQuietBlocks);
+  blocksList.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('[data-remove-block]');
+    if (!removeBtn) return;
+    removeBtn.closest('.block-item').remove();
+    // With another block still incomplete nothing is saved: keep the edit on screen along with the error
+    if (saveQuietBlocks()) {
+      renderedBlocksJson = null;
+      renderQuietBlocks();
+    }
+  });
+  
+  document.getElementById('addBlockBtn').addEventListener('click', () => {
+    const blocks = [...(settings.scheduleBlocks || []), { days: BLOCK_DAY_PRESETS.weekdays.days, start: '12:00', end: '13:00' }];
+    saveSettings({ scheduleBlocks: blocks });
+    renderQuietBlocks();
+    renderScheduleNext();
+  });
+  
+  // The next-run hint moves on with the clock
+  setInterval(renderScheduleNext, 60 * 1000);
+  
+  // Domain rules editor
+  const rulesList = document.getElementById('rulesList');
+  rulesList.addEventListener('change', saveDomainRules);
+  rulesList.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('.rule-remove');
+    if (!removeBtn) return;
+    removeBtn.closest('.rule-item').remove();
+    // With another rule still invalid nothing is saved: keep the edit on screen along with the error
+    if (saveDomainRules()) {
+      renderedRulesJson = null;
+      renderDomainRules();
+    }
+  });
+  
+  document.getElementById('addRuleBtn').addEventListener('click', () => {
+    const rules = [...(settings.domainRules || []), { pattern: '', mode: 'default' }];
+    saveSettings({ domainRules: rules });
+    renderDomainRules();
+    const patterns = rulesList.querySelectorAll('.rule-pattern');
+    patterns[patterns.length - 1]?.focus();
+  });
+  
+  // Export / import
+  document.querySelectorAll('[data-export]').forEach(btn => {
+    btn.addEventListener('click', () => exportData(btn.dataset.export));
+  });
+  
+  document.getElementById('importBtn').addEventListener('click', () => {
+    document.getElementById('importFile').click();
+  });
+  
+  document.getElementById('importFile').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) importDataFile(file);
+    e.target.value = '';
+  });
+  
+  // Reset to defaults
+  document.getElementById('resetBtn').addEventListener('click', async () => {
+    if (!confirm('Reset every setting to its default? Stages, colors and domain rules are reset too.')) return;
+    const response = await chrome.runtime.sendMessage({ type: 'resetSettings' });
+    settings = { ...defaultSettings, ...response.settings };
+    renderedStagesKey = null;
+    renderedRulesJson = null;
+    renderedBlocksJson = null;
+    document.querySelectorAll('.field-error').forEach(el => setFieldError(el.id, null));
+    document.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+    renderSettings();
+  });
+});
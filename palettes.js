@@ -0,0 +1,52 @@
+// Tab Age Tracker - Color palettes
+// Shared by the service worker (importScripts) and the extension pages, so favicons, the toolbar badge
+// and the stage colors shown in the popup and options page always come from the same palette.
+
+// Preset palettes: color stops spread evenly over the age stages (stages.js), first to last.
+// The colorblind-safe ones use Paul Tol's schemes, which stay apart for deuteranopes and protanopes respectively.
+const PALETTES = {
+  default: { name: 'Default', stops: ['#22c55e', '#f59e0b', '#ef4444'] },
+  deuteranopia: { name: 'Deuteranopia', stops: ['#0077bb', '#ee7733', '#cc3311'] },
+  protanopia: { name: 'Protanopia', stops: ['#4477aa', '#ccbb44', '#aa3377'] },
+  bluePurple: { name: 'Blue → Purple', stops: ['#38bdf8', '#818cf8', '#c026d3'] },
+  monochrome: { name: 'High contrast', stops: ['#ffffff', '#a3a3a3', '#404040'] }
+};
+
+// Color of each age stage: the selected palette spread over the stages,
+// or the stages' own colors with the 'custom' palette
+function getStageColors(settings) {
+  if (settings.palette === 'custom') {
+    return settings.stages.map(stage => stage.color);
+  }
+  
+  const stops = (PALETTES[settings.palette] || PALETTES.default).stops;
+  const last = settings.stages.length - 1;
+  return settings.stages.map((stage, i) => {
+    const position = last > 0 ? (i / last) * (stops.length - 1) : 0;
+    const from = Math.floor(position);
+    return from >= stops.length - 1 ? stops[stops.length - 1] : mixColors(stops[from], stops[from + 1], position - from);
+  });
+}
+
+// The stages with the colors of the selected palette filled in (none until settings are loaded)
+function getColoredStages(settings) {
+  if (!Array.isArray(settings.stages)) return [];
+  const colors = getStageColors(settings);
+  return settings.stages.map((stage, i) => ({ ...stage, color: colors[i] }));
+}
+
+// Blend two #rrggbb colors in RGB (t = 0..1). RGB rather than HSL so blending two hues
+// never detours through a third one, e.g. blue to orange through green.
+function mixColors(from, to, t) {
+  const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+  return '#' + [0, 1, 2].map(i => {
+    const value = Math.round(channel(from, i) + (channel(to, i) - channel(from, i)) * t);
+    return value.toString(16).padStart(2, '0');
+  }).join('');
+}
+
+// Black or white, whichever reads better on the given background (badge text, indicator outlines)
+function getReadableTextColor(background) {
+  const [r, g, b] = [1, 3, 5].map(i => parseInt(background.slice(i, i + 2), 16));
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#000000' : '#ffffff';
+}
@@ -3,7 +3,55 @@
 let tabsData = [];
 let settings = {};
 let deletedTabsData = [];
-let isInteractingWithSettings = false;
+let snoozedTabsData = [];
+let historyQuery = '';
+
+// Batch headings in the history panel, by what closed the tabs
+const HISTORY_SOURCE_LABELS = {
+  manual: 'Closed',
+  closeOld: 'Close Old',
+  autoDelete: 'Auto-delete',
+  duplicates: 'Merged duplicates',
+  bulk: 'Bulk close',
+  snooze: 'Cancelled snoozes'
+};
+
+// Quick settings toggles in the popup: [toggle element id, settings key]
+const QUICK_TOGGLES = [
+  ['pauseWhenIdleToggle', 'pauseWhenIdle'],
+  ['autoGroupToggle', 'autoGroupEnabled'],
+  ['discardToggle', 'discardEnabled'],
+  ['autoDeleteToggle', 'autoDeleteEnabled'],
+  ['closeOldToArchiveToggle', 'closeOldToArchive']
+];
+
+// Last entry of the header's profile switcher, opens the options page instead of switching
+const MANAGE_PROFILES_OPTION = 'manage';
+
+// Tabs panel search / filter / sort state
+const tabFilter = {
+  query: '',
+  chips: new Set(),   // 'stage:<name>', 'pinned', 'audible'
+  sort: 'age'         // 'age', 'domain', 'window', 'title', 'focused' or 'visits'
+};
+
+// Read-later archive panel state
+let archiveData = [];
+const archiveFilter = { query: '', tag: null };
+let editingArchiveId = null;
+const ARCHIVE_RENDER_LIMIT = 200;   // the archive can hold thousands of entries
+
+// Stats history chart ranges: how far back, and how much time each chart column covers
+const STATS_RANGES = {
+  day: { spanMs: 24 * 60 * 60 * 1000, columnMs: 15 * 60 * 1000, label: 'last 24 hours' },
+  week: { spanMs: 7 * 24 * 60 * 60 * 1000, columnMs: 2 * 60 * 60 * 1000, label: 'last 7 days' },
+  month: { spanMs: 30 * 24 * 60 * 60 * 1000, columnMs: 12 * 60 * 60 * 1000, label: 'last 30 days' }
+};
+let statsRange = 'day';
+
+// Multi-selection in the tabs panel
+const selectedTabIds = new Set();
+let lastSelectedTabId = null;
 
 // Format time duration with seconds precision
 function formatDuration(minutes) {
@@ -36,50 +84,22 @@ function formatTimeAgo(timestamp) {
   return `${days} days ago`;
 }
 
-// Format slider value
-function formatSliderValue(minutes) {
-  if (minutes < 60) return `${minutes} min`;
-  if (minutes < 1440) {
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    return mins > 0 ? `${hours}h ${mins}m` : `${hours} hr`;
-  }
-  const days = Math.floor(minutes / 1440);
-  const hours = Math.floor((minutes % 1440) / 60);
-  return hours > 0 ? `${days}d ${hours}h` : `${days} day`;
-}
-
-// Parse user input to minutes (supports: "30", "30m", "30 min", "1h", "1 hr", "1h 30m", "2d", etc.)
-function parseTimeInput(input) {
-  const str = input.trim().toLowerCase();
-  
-  // Try parsing as just a number (assume minutes)
-  if (/^\d+$/.test(str)) {
-    return parseInt(str);
-  }
-  
-  let totalMinutes = 0;
+// Format time until a future timestamp for snoozed items
+function formatTimeUntil(timestamp) {
+  const minutes = Math.max(0, Math.round((timestamp - Date.now()) / 60000));
+  if (minutes < 1) return 'any moment';
+  if (minutes < 60) return `in ${minutes}m`;
+  if (minutes < 1440) return `in ${Math.floor(minutes / 60)}h ${minutes % 60}m`;
   
-  // Match days
-  const dayMatch = str.match(/(\d+)\s*d/);
-  if (dayMatch) totalMinutes += parseInt(dayMatch[1]) * 1440;
-  
-  // Match hours
-  const hourMatch = str.match(/(\d+)\s*h/);
-  if (hourMatch) totalMinutes += parseInt(hourMatch[1]) * 60;
-  
-  // Match minutes
-  const minMatch = str.match(/(\d+)\s*m(?:in)?/);
-  if (minMatch) totalMinutes += parseInt(minMatch[1]);
-  
-  return totalMinutes > 0 ? totalMinutes : null;
+  const date = new Date(timestamp);
+  return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }) +
+    ' ' + date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
 }
 
-// Get age class
-function getAgeClass(minutesInactive) {
-  if (minutesInactive <= settings.freshThreshold) return 'fresh';
-  if (minutesInactive <= settings.staleThreshold) return 'stale';
-  return 'old';
+// Get a tab's age stage (stages come from the tab's domain rule, falling back to global settings)
+function getTabStage(minutesInactive, thresholds) {
+  const stages = thresholds?.stages || getColoredStages(settings);
+  return stages[getStageIndex(minutesInactive, stages)];
 }
 
 // Get domain from URL
@@ -91,9 +111,65 @@ function getDomain(url) {
   }
 }
 
+// Whether any search text or filter chip is active
+function isFilterActive() {
+  return tabFilter.query !== '' || tabFilter.chips.size > 0;
+}
+
+// Apply search, filter chips and sort order to the tab list.
+// Stage chips are OR-ed together; pinned/audible must all match.
+function getFilteredTabs() {
+  const query = tabFilter.query.toLowerCase();
+  const stageChips = [...tabFilter.chips].filter(c => c.startsWith('stage:')).map(c => c.slice('stage:'.length));
+  
+  const filtered = tabsData.filter(tab => {
+    if (query) {
+      const haystack = `${tab.title || ''} ${getDomain(tab.url || '')}`.toLowerCase();
+      if (!haystack.includes(query)) return false;
+    }
+    if (stageChips.length > 0) {
+      const stage = getTabStage(tab.ageMinutes || 0, tab.thresholds);
+      if (!stage || !stageChips.includes(stage.name)) return false;
+    }
+    if (tabFilter.chips.has('pinned') && !tab.pinned) return false;
+    if (tabFilter.chips.has('audible') && !tab.audible) return false;
+    return true;
+  });
+  
+  const byAge = (a, b) => (b.ageMinutes || 0) - (a.ageMinutes || 0);
+  const comparators = {
+    age: byAge,
+    domain: (a, b) => getDomain(a.url || '').localeCompare(getDomain(b.url || '')) || byAge(a, b),
+    window: (a, b) => (a.windowId - b.windowId) || (a.index - b.index),
+    title: (a, b) => (a.title || '').localeCompare(b.title || ''),
+    focused: (a, b) => ((b.focusedMs || 0) - (a.focusedMs || 0)) || byAge(a, b),
+    visits: (a, b) => ((b.visits || 0) - (a.visits || 0)) || byAge(a, b)
+  };
+  
+  return filtered.sort(comparators[tabFilter.sort] || byAge);
+}
+
 // Render tabs list
 function renderTabs() {
   const container = document.getElementById('tabsList');
+  const visibleTabs = getFilteredTabs();
+  
+  document.getElementById('filterCount').textContent = isFilterActive()
+    ? `${visibleTabs.length} of ${tabsData.length}`
+    : '';
+  
+  if (tabsData.length > 0 && visibleTabs.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+          <circle cx="11" cy="11" r="7"/>
+          <line x1="21" y1="21" x2="16" y2="16"/>
+        </svg>
+        <div>No tabs match the filter</div>
+      </div>
+    `;
+    return;
+  }
   
   if (tabsData.length === 0) {
     container.innerHTML = `
@@ -109,28 +185,43 @@ function renderTabs() {
     return;
   }
   
-  // Sort by age (oldest first)
-  const sortedTabs = [...tabsData].sort((a, b) => {
-    const ageA = a.lastActiveAt || Date.now();
-    const ageB = b.lastActiveAt || Date.now();
-    return ageA - ageB;
-  });
-  
-  container.innerHTML = sortedTabs.map(tab => {
-    const minutesInactive = (Date.now() - (tab.lastActiveAt || Date.now())) / (1000 * 60);
-    const ageClass = getAgeClass(minutesInactive);
+  container.innerHTML = visibleTabs.map(tab => {
+    const minutesInactive = tab.ageMinutes || 0;
+    const stage = getTabStage(minutesInactive, tab.thresholds);
     const duration = formatDuration(minutesInactive);
     
     return `
-      <div class="tab-item ${tab.active ? 'active-tab' : ''}" data-tab-id="${tab.id}">
-        <img class="tab-favicon" src="${tab.favIconUrl || 'icons/icon16.png'}" onerror="this.src='icons/icon16.png'">
+      <div class="tab-item ${tab.active ? 'active-tab' : ''} ${selectedTabIds.has(tab.id) ? 'selected' : ''}" data-tab-id="${tab.id}">
+        <input type="checkbox" class="tab-select" data-select-id="${tab.id}" ${selectedTabIds.has(tab.id) ? 'checked' : ''} title="Select (Shift-click for a range)">
+        <img class="tab-favicon" src="${escapeHtml(tab.favIconUrl || 'icons/icon16.png')}" onerror="this.src='icons/icon16.png'">
         <div class="tab-info">
           <div class="tab-title">${escapeHtml(tab.title || 'Untitled')}</div>
           <div class="tab-meta">
-            <span class="tab-age ${ageClass}">${duration}</span>
-            <span class="tab-url">${getDomain(tab.url || '')}</span>
+            <span class="tab-age" ${stage ? `style="--stage-color: ${stage.color}" title="${escapeHtml(stage.name)}"` : ''}>${duration}</span>
+            ${tab.closingSoon ? `<button class="tab-closing" data-keep-id="${tab.id}" title="About to be auto-deleted - click to keep">closes in ${formatDuration(Math.max(0, tab.autoDeleteInMinutes))} · Keep</button>` : ''}
+            ${tab.discarded ? '<span class="tab-sleeping" title="Unloaded to save memory">sleeping</span>' : ''}
+            ${tab.protected ? '<span class="tab-protected" title="Protected from auto-delete and Close Old">protected</span>' : ''}
+            ${tab.duplicateCount > 1 ? `<span class="tab-duplicate" title="${tab.duplicateCount} tabs open with this URL">dup ×${tab.duplicateCount}</span>` : ''}
+            ${tab.visits > 0 ? `<span class="tab-focus" title="Focused ${formatDuration((tab.focusedMs || 0) / (1000 * 60))} over ${tab.visits} visit${tab.visits === 1 ? '' : 's'}">${formatDuration((tab.focusedMs || 0) / (1000 * 60))} · ${tab.visits}×</span>` : ''}
+            ${tab.thresholds?.pattern ? `<span class="tab-rule ${tab.thresholds.mode}" title="Rule: ${escapeHtml(tab.thresholds.pattern)}">${tab.thresholds.mode === 'default' ? 'rule' : tab.thresholds.mode}</span>` : ''}
+            <span class="tab-url">${escapeHtml(getDomain(tab.url || ''))}</span>
           </div>
         </div>
+        <button class="tab-snooze" data-snooze-id="${tab.id}" title="Snooze tab">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="13" r="8"/>
+            <polyline points="12,9 12,13 14,15"/>
+            <line x1="5" y1="3" x2="2" y2="6"/>
+            <line x1="19" y1="3" x2="22" y2="6"/>
+          </svg>
+        </button>
+        <button class="tab-archive" data-archive-id="${tab.id}" title="Archive to read later">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="3" y="4" width="18" height="5" rx="1"/>
+            <path d="M5 9v10a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1V9"/>
+            <line x1="10" y1="13" x2="14" y2="13"/>
+          </svg>
+        </button>
         <button class="tab-close" data-close-id="${tab.id}" title="Close tab">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <line x1="18" y1="6" x2="6" y2="18"/>
@@ -141,11 +232,23 @@ function renderTabs() {
     `;
   }).join('');
   
+  container.classList.toggle('selecting', selectedTabIds.size > 0);
+  renderDuplicateBanner();
+  
   // Add click handlers
   container.querySelectorAll('.tab-item').forEach(item => {
     item.addEventListener('click', (e) => {
-      if (e.target.closest('.tab-close')) return;
+      if (e.target.closest('.tab-close') || e.target.closest('.tab-snooze') || e.target.closest('.tab-archive') ||
+          e.target.closest('.tab-closing')) return;
       const tabId = parseInt(item.dataset.tabId);
+      
+      // Checkbox, Shift-click or a click while selecting changes the selection instead of switching tabs
+      if (e.target.closest('.tab-select') || e.shiftKey || selectedTabIds.size > 0) {
+        e.preventDefault();
+        toggleTabSelection(tabId, e.shiftKey, visibleTabs);
+        return;
+      }
+      
       chrome.tabs.update(tabId, { active: true });
       window.close();
     });
@@ -159,22 +262,140 @@ function renderTabs() {
       loadData();
     });
   });
+  
+  container.querySelectorAll('.tab-snooze').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openSnoozeMenu([parseInt(btn.dataset.snoozeId)], btn);
+    });
+  });
+  
+  container.querySelectorAll('.tab-closing').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await chrome.runtime.sendMessage({ type: 'keepTabs', tabIds: [parseInt(btn.dataset.keepId)] });
+      loadData();
+    });
+  });
+  
+  container.querySelectorAll('.tab-archive').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await chrome.runtime.sendMessage({ type: 'archiveTab', tabId: parseInt(btn.dataset.archiveId) });
+      loadData();
+    });
+  });
+}
+
+// Offer to merge duplicates when any URL is open more than once
+function renderDuplicateBanner() {
+  const extraCopies = tabsData.filter(t => t.mergeable).length;
+  const banner = document.getElementById('duplicateBanner');
+  banner.classList.toggle('visible', extraCopies > 0);
+  document.getElementById('duplicateCount').textContent =
+    `${extraCopies} duplicate tab${extraCopies === 1 ? '' : 's'}`;
+}
+
+// Select or deselect a tab; with Shift, select the whole range from the last clicked tab
+function toggleTabSelection(tabId, range, visibleTabs) {
+  if (range && lastSelectedTabId !== null) {
+    const ids = visibleTabs.map(t => t.id);
+    const from = ids.indexOf(lastSelectedTabId);
+    const to = ids.indexOf(tabId);
+    if (from !== -1 && to !== -1) {
+      ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedTabIds.add(id));
+    } else {
+      selectedTabIds.add(tabId);
+    }
+  } else if (selectedTabIds.has(tabId)) {
+    selectedTabIds.delete(tabId);
+  } else {
+    selectedTabIds.add(tabId);
+  }
+  
+  lastSelectedTabId = tabId;
+  renderTabs();
+  renderBulkBar();
+}
+
+// Show the bulk action bar while tabs are selected
+function renderBulkBar() {
+  document.getElementById('bulkBar').classList.toggle('visible', selectedTabIds.size > 0);
+  document.getElementById('bulkCount').textContent = `${selectedTabIds.size} selected`;
+  
+  const allProtected = selectedTabIds.size > 0 &&
+    [...selectedTabIds].every(id => tabsData.find(t => t.id === id)?.protected);
+  document.getElementById('bulkProtectBtn').textContent = allProtected ? 'Unprotect' : 'Protect';
+}
+
+function clearSelection() {
+  selectedTabIds.clear();
+  lastSelectedTabId = null;
+  renderTabs();
+  renderBulkBar();
+}
+
+// Send a bulk action for the selected tabs in one message
+async function runBulkAction(action, extra = {}) {
+  if (selectedTabIds.size === 0) return;
+  const tabIds = [...selectedTabIds];
+  await chrome.runtime.sendMessage({ type: 'bulkAction', action, tabIds, ...extra });
+  clearSelection();
+  loadData();
+}
+
+// Show the snooze menu next to a tab row (the menu lives outside the list so re-renders don't close it).
+// tabIds is a single tab from the row button or the selection from the bulk bar.
+let snoozeMenuTabIds = null;
+function openSnoozeMenu(tabIds, anchor) {
+  const menu = document.getElementById('snoozeMenu');
+  snoozeMenuTabIds = tabIds;
+  
+  const rect = anchor.getBoundingClientRect();
+  menu.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - 190)}px`;
+  menu.classList.add('visible');
+  
+  const customInput = document.getElementById('snoozeCustomInput');
+  customInput.value = '';
+  customInput.classList.remove('invalid');
+}
+
+function closeSnoozeMenu() {
+  snoozeMenuTabIds = null;
+  document.getElementById('snoozeMenu').classList.remove('visible');
+}
+
+// Snooze the tab(s) the menu was opened for
+async function snoozeFromMenu(option, minutes) {
+  if (!snoozeMenuTabIds) return;
+  const tabIds = snoozeMenuTabIds;
+  closeSnoozeMenu();
+  
+  if (tabIds.length === 1 && !selectedTabIds.has(tabIds[0])) {
+    await chrome.runtime.sendMessage({ type: 'snoozeTab', tabId: tabIds[0], option, minutes });
+    loadData();
+  } else {
+    await runBulkAction('snooze', { option, minutes });
+  }
 }
 
 // Update stats
 function updateStats() {
-  const now = Date.now();
-  
-  let fresh = 0, stale = 0, old = 0;
+  const stages = getColoredStages(settings);
+  const counts = stages.map(() => 0);
+  let sleeping = 0;
   let oldestAge = 0;
   let oldestTab = null;
   
   tabsData.forEach(tab => {
-    const minutes = (now - (tab.lastActiveAt || now)) / (1000 * 60);
+    const minutes = tab.ageMinutes || 0;
+    const stage = getTabStage(minutes, tab.thresholds);
     
-    if (minutes <= settings.freshThreshold) fresh++;
-    else if (minutes <= settings.staleThreshold) stale++;
-    else old++;
+    // Rule stages share the global stages' names and order
+    const index = stage ? stages.findIndex(s => s.name === stage.name) : -1;
+    if (index !== -1) counts[index]++;
+    
+    if (tab.discarded) sleeping++;
     
     if (minutes > oldestAge) {
       oldestAge = minutes;
@@ -185,32 +406,220 @@ function updateStats() {
   const total = tabsData.length;
   
   document.getElementById('totalTabs').textContent = total;
-  document.getElementById('freshCount').textContent = `${fresh} fresh`;
-  document.getElementById('staleCount').textContent = `${stale} stale`;
-  document.getElementById('oldCount').textContent = `${old} old`;
-  
-  // Update bar
-  const freshPct = total > 0 ? (fresh / total) * 100 : 33;
-  const stalePct = total > 0 ? (stale / total) * 100 : 33;
-  const oldPct = total > 0 ? (old / total) * 100 : 34;
-  
-  const bar = document.getElementById('statBar');
-  bar.innerHTML = `
-    <div class="stat-segment fresh" style="width: ${freshPct}%"></div>
-    <div class="stat-segment stale" style="width: ${stalePct}%"></div>
-    <div class="stat-segment old" style="width: ${oldPct}%"></div>
-  `;
+  document.getElementById('sleepingTabs').textContent = sleeping;
+  
+  document.getElementById('stageLegend').innerHTML = stages.map((stage, i) => `
+    <div class="legend-item">
+      <div class="legend-dot" style="--stage-color: ${stage.color}"></div>
+      <span>${counts[i]} ${escapeHtml(stage.name.toLowerCase())}</span>
+    </div>
+  `).join('');
+  
+  // Update bar (equal segments while there are no tabs)
+  document.getElementById('statBar').innerHTML = stages.map((stage, i) => {
+    const pct = total > 0 ? (counts[i] / total) * 100 : 100 / stages.length;
+    return `<div class="stat-segment" style="width: ${pct}%; --stage-color: ${stage.color}"></div>`;
+  }).join('');
   
   // Oldest tab
   document.getElementById('oldestAge').textContent = oldestTab ? formatDuration(oldestAge) : '-';
   document.getElementById('oldestTitle').textContent = oldestTab ? (oldestTab.title || 'Untitled').substring(0, 40) : '-';
 }
 
+// Load recorded stats snapshots and draw the history chart
+async function loadStatsHistory() {
+  const response = await chrome.runtime.sendMessage({ type: 'getStatsHistory' });
+  renderStatsHistory(response.statsHistory || []);
+}
+
+// Per-stage counts of a snapshot, fitted to the current number of stages.
+// Older snapshots may have a different number of stages, or the fixed fresh/stale/old counts.
+function getSnapshotCounts(snap, stageCount) {
+  const recorded = Array.isArray(snap.stageCounts)
+    ? snap.stageCounts
+    : [snap.fresh || 0, snap.stale || 0, snap.old || 0];
+  if (recorded.length === stageCount) return recorded;
+  
+  // Spread the recorded stages over the current ones, first to first and last to last
+  const counts = Array(stageCount).fill(0);
+  recorded.forEach((count, i) => {
+    const index = recorded.length > 1 ? Math.round(i * (stageCount - 1) / (recorded.length - 1)) : stageCount - 1;
+    counts[index] += count;
+  });
+  return counts;
+}
+
+// Average stage counts and sum closed tabs per chart column
+function aggregateStats(history, range, stageCount) {
+  const { spanMs, columnMs } = STATS_RANGES[range];
+  const start = Date.now() - spanMs;
+  const columns = Array.from({ length: Math.ceil(spanMs / columnMs) }, () => ({
+    samples: 0, counts: Array(stageCount).fill(0), closedManual: 0, closedAuto: 0
+  }));
+  
+  history.filter(snap => snap.t >= start).forEach(snap => {
+    const column = columns[Math.min(columns.length - 1, Math.floor((snap.t - start) / columnMs))];
+    column.samples++;
+    getSnapshotCounts(snap, stageCount).forEach((count, i) => { column.counts[i] += count; });
+    column.closedManual += snap.closedManual;
+    column.closedAuto += snap.closedAuto;
+  });
+  
+  return columns.map(c => c.samples === 0 ? { ...c, empty: true } : {
+    ...c,
+    counts: c.counts.map(count => count / c.samples)
+  });
+}
+
+// Stacked area chart of open tabs per stage, with closed-tab bars underneath (plain SVG)
+function buildStatsChart(columns, stages) {
+  const width = 340;
+  const areaHeight = 90;
+  const barHeight = 28;
+  const gap = 6;
+  const step = width / columns.length;
+  
+  const sumCounts = (counts) => counts.reduce((total, count) => total + count, 0);
+  const maxOpen = Math.max(1, ...columns.map(c => c.empty ? 0 : sumCounts(c.counts)));
+  const maxClosed = Math.max(1, ...columns.map(c => c.closedManual + c.closedAuto));
+  const y = (value) => areaHeight - (value / maxOpen) * areaHeight;
+  
+  // Split into runs of columns with data so gaps stay empty
+  const runs = [];
+  let run = [];
+  columns.forEach((c, i) => {
+    if (c.empty) {
+      if (run.length) runs.push(run);
+      run = [];
+    } else {
+      run.push({ ...c, x: i * step + step / 2 });
+    }
+  });
+  if (run.length) runs.push(run);
+  
+  // Layers from the bottom: last stage first, each one stacked on the stages after it
+  const areas = [];
+  runs.forEach(points => {
+    const sumFrom = (p, index) => sumCounts(p.counts.slice(index));
+    for (let index = stages.length - 1; index >= 0; index--) {
+      const xs = points.length === 1 ? [points[0].x - step / 2, points[0].x + step / 2] : null;
+      const top = points.length === 1
+        ? xs.map(x => `${x.toFixed(1)},${y(sumFrom(points[0], index)).toFixed(1)}`)
+        : points.map(p => `${p.x.toFixed(1)},${y(sumFrom(p, index)).toFixed(1)}`);
+      const bottom = points.length === 1
+        ? xs.map(x => `${x.toFixed(1)},${y(sumFrom(points[0], index + 1)).toFixed(1)}`).reverse()
+        : points.map(p => `${p.x.toFixed(1)},${y(sumFrom(p, index + 1)).toFixed(1)}`).reverse();
+      areas.push(`<polygon class="chart-area" style="fill: ${stages[index].color}" points="${[...top, ...bottom].join(' ')}"/>`);
+    }
+  });
+  
+  const barTop = areaHeight + gap;
+  const bars = columns.map((c, i) => {
+    const total = c.closedManual + c.closedAuto;
+    if (total === 0) return '';
+    const x = (i * step + step * 0.15).toFixed(1);
+    const w = Math.max(1, step * 0.7).toFixed(1);
+    const autoH = (c.closedAuto / maxClosed) * barHeight;
+    const manualH = (c.closedManual / maxClosed) * barHeight;
+    const base = barTop + barHeight;
+    return `<rect class="chart-bar auto" x="${x}" y="${(base - autoH).toFixed(1)}" width="${w}" height="${autoH.toFixed(1)}"/>` +
+      `<rect class="chart-bar manual" x="${x}" y="${(base - autoH - manualH).toFixed(1)}" width="${w}" height="${manualH.toFixed(1)}"/>`;
+  }).join('');
+  
+  return `
+    <svg class="stats-chart" viewBox="0 0 ${width} ${barTop + barHeight}" preserveAspectRatio="none">
+      <line class="chart-axis" x1="0" y1="${areaHeight}" x2="${width}" y2="${areaHeight}"/>
+      ${areas.join('')}
+      <line class="chart-axis" x1="0" y1="${barTop + barHeight}" x2="${width}" y2="${barTop + barHeight}"/>
+      ${bars}
+      <text class="chart-label" x="2" y="10">${Math.round(maxOpen)} tabs</text>
+    </svg>
+  `;
+}
+
+// Render the history card: chart plus a short summary for the selected range
+function renderStatsHistory(history) {
+  const stages = getColoredStages(settings);
+  const columns = aggregateStats(history, statsRange, stages.length);
+  const withData = columns.filter(c => !c.empty);
+  const container = document.getElementById('statsChart');
+  const summary = document.getElementById('statsSummary');
+  
+  document.getElementById('chartStageLegend').innerHTML = stages.map(stage => `
+    <div class="legend-item">
+      <div class="legend-dot" style="--stage-color: ${stage.color}"></div>
+      <span>${escapeHtml(stage.name.toLowerCase())}</span>
+    </div>
+  `).join('');
+  
+  if (withData.length === 0 || stages.length === 0) {
+    container.innerHTML = '<div class="chart-empty">Not enough data yet. Snapshots are taken every 15 minutes.</div>';
+    summary.textContent = '';
+    return;
+  }
+  
+  container.innerHTML = buildStatsChart(columns, stages);
+  
+  const last = stages.length - 1;
+  const avgOpen = withData.reduce((total, c) => total + c.counts.reduce((sum, count) => sum + count, 0), 0) / withData.length;
+  const avgLast = withData.reduce((total, c) => total + c.counts[last], 0) / withData.length;
+  const manual = columns.reduce((total, c) => total + c.closedManual, 0);
+  const auto = columns.reduce((total, c) => total + c.closedAuto, 0);
+  summary.textContent = `${STATS_RANGES[statsRange].label}: avg ${Math.round(avgOpen)} open (${Math.round(avgLast)} ${stages[last].name.toLowerCase()}) · ${manual} closed · ${auto} auto-deleted`;
+}
+
 // Load deleted tabs history
 async function loadDeletedTabs() {
   const response = await chrome.runtime.sendMessage({ type: 'getDeletedTabs' });
   deletedTabsData = response.deletedTabs || [];
   renderHistory();
+  loadSnoozedTabs();
+}
+
+// Load snoozed tabs
+async function loadSnoozedTabs() {
+  const response = await chrome.runtime.sendMessage({ type: 'getSnoozedTabs' });
+  snoozedTabsData = response.snoozedTabs || [];
+  renderSnoozed();
+}
+
+// Render snoozed section of the history panel
+function renderSnoozed() {
+  const section = document.getElementById('snoozedSection');
+  const container = document.getElementById('snoozedList');
+  
+  section.classList.toggle('visible', snoozedTabsData.length > 0);
+  document.getElementById('snoozedCount').textContent = snoozedTabsData.length;
+  
+  container.innerHTML = snoozedTabsData.map(entry => `
+    <div class="history-item snoozed" data-entry-id="${entry.id}">
+      <img class="history-favicon" src="${escapeHtml(entry.favicon || 'icons/icon16.png')}" onerror="this.src='icons/icon16.png'">
+      <div class="history-info">
+        <div class="history-title-text">${escapeHtml(entry.title || 'Untitled')}</div>
+        <div class="history-meta">
+          <span class="snooze-badge">Wakes ${formatTimeUntil(entry.wakeAt)}</span>
+        </div>
+      </div>
+      <div class="history-actions">
+        <button class="btn-reopen" data-wake-id="${entry.id}">Wake</button>
+        <button class="btn-remove" data-cancel-id="${entry.id}" title="Cancel snooze">×</button>
+      </div>
+    </div>
+  `).join('');
+  
+  container.querySelectorAll('[data-wake-id]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'wakeSnoozedTab', entryId: parseInt(btn.dataset.wakeId) });
+      loadDeletedTabs();
+    });
+  });
+  
+  container.querySelectorAll('[data-cancel-id]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'cancelSnooze', entryId: parseInt(btn.dataset.cancelId) });
+      loadDeletedTabs();
+    });
+  });
 }
 
 // Render history list
@@ -229,27 +638,51 @@ function renderHistory() {
     return;
   }
   
-  container.innerHTML = deletedTabsData.map(entry => {
-    const timeAgo = formatTimeAgo(entry.deletedAt);
-    const autoDeleteBadge = entry.autoDeleted ? '<span class="auto-badge">AUTO</span>' : '';
+  const rows = getHistoryRows();
+  if (rows.length === 0) {
+    container.innerHTML = '<div class="history-empty"><div>No closed tabs match the search</div></div>';
+    return;
+  }
+  
+  // Size of each batch, counting entries hidden by the search or collapsed as duplicates
+  const batchSizes = {};
+  deletedTabsData.forEach(entry => {
+    if (entry.batchId) batchSizes[entry.batchId] = (batchSizes[entry.batchId] || 0) + 1;
+  });
+  
+  // Day headings, with consecutive entries of a multi-tab batch wrapped in a batch block
+  let html = '';
+  let currentDay = null;
+  let currentBatch = null;
+  rows.forEach(row => {
+    const day = new Date(row.deletedAt).toDateString();
+    const batchId = batchSizes[row.batchId] > 1 ? row.batchId : null;
     
-    return `
-      <div class="history-item ${entry.autoDeleted ? 'auto-deleted' : ''}" data-entry-id="${entry.id}">
-        <img class="history-favicon" src="${entry.favicon || 'icons/icon16.png'}" onerror="this.src='icons/icon16.png'">
-        <div class="history-info">
-          <div class="history-title-text">${escapeHtml(entry.title || 'Untitled')}</div>
-          <div class="history-meta">
-            <span>${timeAgo}</span>
-            ${autoDeleteBadge}
+    if (currentBatch && (batchId !== currentBatch || day !== currentDay)) {
+      html += '</div>';
+      currentBatch = null;
+    }
+    if (day !== currentDay) {
+      html += `<div class="history-day">${formatDayLabel(row.deletedAt)}</div>`;
+      currentDay = day;
+    }
+    if (batchId && batchId !== currentBatch) {
+      const time = new Date(row.deletedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      html += `
+        <div class="history-batch">
+          <div class="history-batch-header">
+            <span>${HISTORY_SOURCE_LABELS[row.source] || 'Closed'} · ${batchSizes[batchId]} tabs · ${time}</span>
+            <button class="btn-restore-batch" data-restore-batch="${batchId}">Restore this batch</button>
           </div>
-        </div>
-        <div class="history-actions">
-          <button class="btn-reopen" data-reopen-id="${entry.id}">Reopen</button>
-          <button class="btn-remove" data-remove-id="${entry.id}">×</button>
-        </div>
-      </div>
-    `;
-  }).join('');
+      `;
+      currentBatch = batchId;
+    }
+    html += renderHistoryItem(row);
+  });
+  if (currentBatch) {
+    html += '</div>';
+  }
+  container.innerHTML = html;
   
   // Add click handlers for reopen buttons
   container.querySelectorAll('.btn-reopen').forEach(btn => {
@@ -261,70 +694,245 @@ function renderHistory() {
     });
   });
   
-  // Add click handlers for remove buttons
+  // Add click handlers for remove buttons (all collapsed copies go together)
   container.querySelectorAll('.btn-remove').forEach(btn => {
     btn.addEventListener('click', async (e) => {
       e.stopPropagation();
-      const entryId = parseInt(btn.dataset.removeId);
-      await chrome.runtime.sendMessage({ type: 'removeFromHistory', entryId });
+      const entryIds = btn.dataset.removeIds.split(',').map(id => parseInt(id));
+      await chrome.runtime.sendMessage({ type: 'removeFromHistory', entryIds });
+      loadDeletedTabs();
+    });
+  });
+  
+  container.querySelectorAll('[data-restore-batch]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'restoreBatch', batchId: btn.dataset.restoreBatch });
       loadDeletedTabs();
     });
   });
 }
 
+// One closed-tab row; `ids` holds every collapsed entry with the same URL
+function renderHistoryItem(row) {
+  const autoDeleteBadge = row.autoDeleted ? '<span class="auto-badge">AUTO</span>' : '';
+  const repeatBadge = row.ids.length > 1 ? `<span title="Closed ${row.ids.length} times">×${row.ids.length}</span>` : '';
+  
+  return `
+    <div class="history-item ${row.autoDeleted ? 'auto-deleted' : ''}" data-entry-id="${row.id}">
+      <img class="history-favicon" src="${escapeHtml(row.favicon || 'icons/icon16.png')}" onerror="this.src='icons/icon16.png'">
+      <div class="history-info">
+        <div class="history-title-text" title="${escapeHtml(row.url)}">${escapeHtml(row.title || 'Untitled')}</div>
+        <div class="history-meta">
+          <span>${formatTimeAgo(row.deletedAt)}</span>
+          <span>${escapeHtml(getDomain(row.url))}</span>
+          ${autoDeleteBadge}
+          ${repeatBadge}
+        </div>
+      </div>
+      <div class="history-actions">
+        <button class="btn-reopen" data-reopen-id="${row.id}">Reopen</button>
+        <button class="btn-remove" data-remove-ids="${row.ids.join(',')}">×</button>
+      </div>
+    </div>
+  `;
+}
+
+// Collapse same-URL entries into the newest one, then apply the search box
+function getHistoryRows() {
+  const byUrl = new Map();
+  deletedTabsData.forEach(entry => {
+    const row = byUrl.get(entry.url);
+    if (row) {
+      row.ids.push(entry.id);
+    } else {
+      byUrl.set(entry.url, { ...entry, ids: [entry.id] });
+    }
+  });
+  
+  const query = historyQuery.toLowerCase();
+  return [...byUrl.values()].filter(row =>
+    !query || `${row.title || ''} ${row.url}`.toLowerCase().includes(query));
+}
+
+// Day heading for the history list: Today, Yesterday or the date
+function formatDayLabel(timestamp) {
+  const date = new Date(timestamp);
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(today.getDate() - 1);
+  
+  if (date.toDateString() === today.toDateString()) return 'Today';
+  if (date.toDateString() === yesterday.toDateString()) return 'Yesterday';
+  return date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+// Load the read-later archive (only when the panel is shown - it can be large)
+async function loadArchive() {
+  const response = await chrome.runtime.sendMessage({ type: 'getArchive' });
+  archiveData = response.entries || [];
+  renderArchive();
+}
+
+// Archive entries matching the search box and the selected tag
+function getFilteredArchive() {
+  const query = archiveFilter.query.toLowerCase();
+  return archiveData.filter(entry => {
+    if (archiveFilter.tag && !entry.tags.includes(archiveFilter.tag)) return false;
+    if (query) {
+      const haystack = `${entry.title} ${entry.url} ${entry.note} ${entry.tags.join(' ')}`.toLowerCase();
+      if (!haystack.includes(query)) return false;
+    }
+    return true;
+  });
+}
+
+// Render tag chips and the archive list
+function renderArchive() {
+  document.getElementById('archiveCount').textContent = archiveData.length;
+  
+  // Tag chips, most used first
+  const tagCounts = {};
+  archiveData.forEach(entry => entry.tags.forEach(tag => { tagCounts[tag] = (tagCounts[tag] || 0) + 1; }));
+  if (archiveFilter.tag && !tagCounts[archiveFilter.tag]) {
+    archiveFilter.tag = null;
+  }
+  document.getElementById('archiveTags').innerHTML = Object.entries(tagCounts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag, count]) => `
+      <button class="filter-chip ${archiveFilter.tag === tag ? 'active' : ''}" data-archive-tag="${escapeHtml(tag)}">#${escapeHtml(tag)} ${count}</button>
+    `).join('');
+  
+  const entries = getFilteredArchive();
+  const openAllBtn = document.getElementById('archiveOpenAllBtn');
+  openAllBtn.style.display = archiveFilter.tag ? '' : 'none';
+  openAllBtn.textContent = archiveFilter.tag ? `Open all #${archiveFilter.tag} (${entries.length})` : 'Open all';
+  
+  const container = document.getElementById('archiveList');
+  if (entries.length === 0) {
+    container.innerHTML = `
+      <div class="history-empty">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+          <rect x="3" y="4" width="18" height="5" rx="1"/>
+          <path d="M5 9v10a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1V9"/>
+        </svg>
+        <div>${archiveData.length === 0 ? 'Nothing archived yet' : 'No archived tabs match'}</div>
+      </div>
+    `;
+    return;
+  }
+  
+  container.innerHTML = entries.slice(0, ARCHIVE_RENDER_LIMIT).map(entry => `
+    <div class="archive-entry ${editingArchiveId === entry.id ? 'editing' : ''}" data-entry-id="${entry.id}">
+      <div class="history-item">
+        <img class="history-favicon" src="${escapeHtml(entry.favicon || 'icons/icon16.png')}" onerror="this.src='icons/icon16.png'">
+        <div class="history-info">
+          <div class="history-title-text" title="${escapeHtml(entry.url)}">${escapeHtml(entry.title || 'Untitled')}</div>
+          <div class="history-meta">
+            <span>${escapeHtml(getDomain(entry.url))}</span>
+            <span>${formatTimeAgo(entry.archivedAt)}</span>
+            ${entry.tags.map(tag => `<span class="archive-tag">#${escapeHtml(tag)}</span>`).join('')}
+          </div>
+          ${entry.note ? `<div class="archive-note">${escapeHtml(entry.note)}</div>` : ''}
+        </div>
+        <div class="history-actions">
+          <button class="btn-reopen" data-archive-open="${entry.id}">Open</button>
+          <button class="btn-remove" data-archive-edit="${entry.id}" title="Edit tags and note">✎</button>
+          <button class="btn-remove" data-archive-remove="${entry.id}" title="Remove from archive">×</button>
+        </div>
+      </div>
+      <div class="archive-editor">
+        <input type="text" class="text-setting" data-archive-tags-input value="${escapeHtml(entry.tags.join(', '))}" placeholder="Tags, comma separated">
+        <textarea class="text-setting" data-archive-note-input placeholder="Note">${escapeHtml(entry.note || '')}</textarea>
+        <button class="btn-reopen" data-archive-save="${entry.id}">Save</button>
+      </div>
+    </div>
+  `).join('') + (entries.length > ARCHIVE_RENDER_LIMIT
+    ? `<div class="archive-more">${entries.length - ARCHIVE_RENDER_LIMIT} more - refine the search to see them</div>`
+    : '');
+}
+
+// CSV with one row per archive entry
+function buildArchiveCsv(entries) {
+  const rows = [['title', 'url', 'archived_at', 'tags', 'note']];
+  entries.forEach(entry => {
+    rows.push([entry.title, entry.url, new Date(entry.archivedAt).toISOString(), entry.tags.join(' '), entry.note]);
+  });
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+// Export the archive entries currently shown (search and tag filter applied)
+function exportArchive(format) {
+  const entries = getFilteredArchive();
+  const date = new Date().toISOString().slice(0, 10);
+  if (format === 'json') {
+    downloadFile(`tab-age-archive-${date}.json`, JSON.stringify(entries, null, 2), 'application/json');
+  } else if (format === 'csv') {
+    downloadFile(`tab-age-archive-${date}.csv`, buildArchiveCsv(entries), 'text/csv');
+  }
+}
+
 // Load data from background
 async function loadData() {
   const response = await chrome.runtime.sendMessage({ type: 'getTabData' });
   tabsData = response.tabs || [];
   settings = response.settings || {};
   
+  // Drop selected tabs that were closed in the meantime
+  const openIds = new Set(tabsData.map(t => t.id));
+  [...selectedTabIds].forEach(id => { if (!openIds.has(id)) selectedTabIds.delete(id); });
+  
+  renderStageChips();
   renderTabs();
+  renderBulkBar();
   updateStats();
-  // Only update settings UI if user is not currently interacting with sliders
-  if (!isInteractingWithSettings) {
-    updateSettingsUI();
-  }
   loadDeletedTabs();
 }
 
-// Update settings UI
+// Load the settings profiles for the header switcher
+async function loadProfiles() {
+  renderProfileSelect(await chrome.runtime.sendMessage({ type: 'getProfiles' }));
+}
+
+// Fill the header's profile switcher
+function renderProfileSelect({ profiles, activeProfileId }) {
+  document.getElementById('profileSelect').innerHTML = [
+    ...profiles.map(profile => `
+      <option value="${profile.id}" ${profile.id === activeProfileId ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+    `),
+    `<option value="${MANAGE_PROFILES_OPTION}">Manage profiles…</option>`
+  ].join('');
+}
+
+// Update the quick settings (everything else is on the options page)
 function updateSettingsUI() {
-  document.getElementById('freshSlider').value = settings.freshThreshold || 30;
-  document.getElementById('staleSlider').value = settings.staleThreshold || 120;
-  document.getElementById('oldSlider').value = settings.oldThreshold || 480;
-  
-  document.getElementById('freshValue').value = formatSliderValue(settings.freshThreshold || 30);
-  document.getElementById('staleValue').value = formatSliderValue(settings.staleThreshold || 120);
-  document.getElementById('oldValue').value = formatSliderValue(settings.oldThreshold || 480);
-  
-  // Update toggle
-  const toggle = document.getElementById('enableToggle');
-  if (settings.enabled !== false) {
-    toggle.classList.add('active');
-  } else {
-    toggle.classList.remove('active');
-  }
+  document.getElementById('enableToggle').classList.toggle('active', settings.enabled !== false);
   
-  // Update style options
-  document.querySelectorAll('.style-option').forEach(opt => {
-    opt.classList.toggle('active', opt.dataset.style === (settings.indicatorStyle || 'dot'));
+  QUICK_TOGGLES.forEach(([id, key]) => {
+    document.getElementById(id).classList.toggle('active', !!settings[key]);
   });
+  const scheduled = settings.scheduleEnabled ? ', on schedule' : '';
+  document.getElementById('discardSummary').textContent = `after ${formatSliderValue(settings.discardThreshold || 30)}${scheduled}`;
+  document.getElementById('autoDeleteSummary').textContent = `after ${formatSliderValue(settings.autoDeleteThreshold || 60)}${scheduled}`;
+}
+
+// Build the stage filter chips (skipped when the stages haven't changed so chip state stays put)
+let renderedStageChipsKey = null;
+function renderStageChips() {
+  const stages = getColoredStages(settings);
+  const key = JSON.stringify(stages);
+  if (key === renderedStageChipsKey) return;
+  renderedStageChipsKey = key;
   
-  // Update auto-delete settings
-  const autoDeleteToggle = document.getElementById('autoDeleteToggle');
-  const autoDeleteSettings = document.getElementById('autoDeleteSettings');
-  const autoDeleteSlider = document.getElementById('autoDeleteSlider');
-  
-  if (settings.autoDeleteEnabled) {
-    autoDeleteToggle.classList.add('active');
-    autoDeleteSettings.classList.add('visible');
-  } else {
-    autoDeleteToggle.classList.remove('active');
-    autoDeleteSettings.classList.remove('visible');
-  }
+  // Forget chips of stages that were renamed or removed
+  const chips = new Set(stages.map(stage => `stage:${stage.name}`));
+  [...tabFilter.chips].forEach(chip => {
+    if (chip.startsWith('stage:') && !chips.has(chip)) tabFilter.chips.delete(chip);
+  });
   
-  autoDeleteSlider.value = settings.autoDeleteThreshold || 60;
-  document.getElementById('autoDeleteValue').value = formatSliderValue(settings.autoDeleteThreshold || 60);
+  document.getElementById('stageChips').innerHTML = stages.map(stage => `
+    <button class="filter-chip stage-chip ${tabFilter.chips.has(`stage:${stage.name}`) ? 'active' : ''}"
+      data-filter="stage:${escapeHtml(stage.name)}" style="--stage-color: ${stage.color}">${escapeHtml(stage.name)}</button>
+  `).join('');
 }
 
 // Save settings
@@ -333,16 +941,18 @@ async function saveSettings(newSettings) {
   await chrome.runtime.sendMessage({ type: 'updateSettings', settings: newSettings });
 }
 
-// Escape HTML
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
-  loadData();
+  loadData().then(updateSettingsUI);
+  loadProfiles();
+  
+  // The quick settings only re-render when settings are saved (here, on the options page or by
+  // switching profiles), so the once-a-second refresh can't flip a toggle back mid-save
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes.settings) return;
+    settings = { ...settings, ...changes.settings.newValue };
+    updateSettingsUI();
+  });
   
   // Auto-refresh every 1 second for real-time updates
   setInterval(() => {
@@ -357,17 +967,30 @@ document.addEventListener('DOMContentLoaded', () => {
       
       btn.classList.add('active');
       document.getElementById(`${btn.dataset.tab}-panel`).classList.add('active');
+      
+      if (btn.dataset.tab === 'stats') {
+        loadStatsHistory();
+      } else if (btn.dataset.tab === 'archive') {
+        loadArchive();
+      }
+    });
+  });
+  
+  // Stats history range
+  document.querySelectorAll('.range-option').forEach(opt => {
+    opt.addEventListener('click', () => {
+      statsRange = opt.dataset.range;
+      document.querySelectorAll('.range-option').forEach(o => o.classList.toggle('active', o === opt));
+      loadStatsHistory();
     });
   });
   
   // Enable toggle
   document.getElementById('enableToggle').addEventListener('click', () => {
-    isInteractingWithSettings = true;
     const toggle = document.getElementById('enableToggle');
     const enabled = !toggle.classList.contains('active');
     toggle.classList.toggle('active', enabled);
     saveSettings({ enabled });
-    setTimeout(() => { isInteractingWithSettings = false; }, 500);
   });
   
   // Sort button
@@ -376,210 +999,170 @@ document.addEventListener('DOMContentLoaded', () => {
     loadData();
   });
   
-  // Close old button
-  document.getElementById('closeOldBtn').addEventListener('click', async () => {
-    await chrome.runtime.sendMessage({ type: 'closeOldTabs' });
+  // Group by age button
+  document.getElementById('groupBtn').addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'groupByAge' });
     loadData();
   });
   
-  // Track slider interaction to prevent auto-refresh interference
-  document.querySelectorAll('.slider').forEach(slider => {
-    slider.addEventListener('mousedown', () => { isInteractingWithSettings = true; });
-    slider.addEventListener('touchstart', () => { isInteractingWithSettings = true; });
+  // Close old button - limited to the filtered tabs while a filter is active
+  document.getElementById('closeOldBtn').addEventListener('click', async () => {
+    const message = { type: 'closeOldTabs' };
+    if (isFilterActive()) {
+      message.tabIds = getFilteredTabs().map(tab => tab.id);
+    }
+    await chrome.runtime.sendMessage(message);
+    loadData();
   });
   
-  document.addEventListener('mouseup', () => { 
-    setTimeout(() => { isInteractingWithSettings = false; }, 100);
-  });
-  document.addEventListener('touchend', () => { 
-    setTimeout(() => { isInteractingWithSettings = false; }, 100);
+  // Merge duplicates banner
+  document.getElementById('mergeDuplicatesBtn').addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'mergeDuplicates' });
+    loadData();
   });
   
-  // Threshold validation - ensures fresh < stale < old with hard limits
-  function validateThreshold(changedSlider, newValue) {
-    const fresh = parseInt(document.getElementById('freshSlider').value);
-    const stale = parseInt(document.getElementById('staleSlider').value);
-    const old = parseInt(document.getElementById('oldSlider').value);
-    
-    if (changedSlider === 'fresh') {
-      // Fresh can go up to stale - 1
-      const maxFresh = stale - 1;
-      return Math.min(newValue, maxFresh);
-    } else if (changedSlider === 'stale') {
-      // Stale must be between fresh + 1 and old - 1
-      const minStale = fresh + 1;
-      const maxStale = old - 1;
-      return Math.max(minStale, Math.min(newValue, maxStale));
-    } else if (changedSlider === 'old') {
-      // Old must be at least stale + 1
-      const minOld = stale + 1;
-      return Math.max(newValue, minOld);
-    }
-    return newValue;
-  }
+  // Bulk actions for the selected tabs
+  document.querySelectorAll('[data-bulk]').forEach(btn => {
+    btn.addEventListener('click', () => runBulkAction(btn.dataset.bulk));
+  });
   
-  // Sliders with validation
-  document.getElementById('freshSlider').addEventListener('input', (e) => {
-    const validated = validateThreshold('fresh', parseInt(e.target.value));
-    e.target.value = validated;
-    document.getElementById('freshValue').value = formatSliderValue(validated);
+  document.getElementById('bulkProtectBtn').addEventListener('click', () => {
+    const allProtected = [...selectedTabIds].every(id => tabsData.find(t => t.id === id)?.protected);
+    runBulkAction('protect', { value: !allProtected });
   });
   
-  document.getElementById('freshSlider').addEventListener('change', (e) => {
-    const validated = validateThreshold('fresh', parseInt(e.target.value));
-    e.target.value = validated;
-    saveSettings({ freshThreshold: validated });
+  document.getElementById('bulkSnoozeBtn').addEventListener('click', (e) => {
+    openSnoozeMenu([...selectedTabIds], e.currentTarget);
   });
   
-  document.getElementById('staleSlider').addEventListener('input', (e) => {
-    const validated = validateThreshold('stale', parseInt(e.target.value));
-    e.target.value = validated;
-    document.getElementById('staleValue').value = formatSliderValue(validated);
+  document.getElementById('bulkClearBtn').addEventListener('click', clearSelection);
+  
+  // Search, filter chips and sort
+  document.getElementById('tabSearch').addEventListener('input', (e) => {
+    tabFilter.query = e.target.value.trim();
+    renderTabs();
   });
   
-  document.getElementById('staleSlider').addEventListener('change', (e) => {
-    const validated = validateThreshold('stale', parseInt(e.target.value));
-    e.target.value = validated;
-    saveSettings({ staleThreshold: validated });
+  // Filter chips (delegated: the stage chips are rebuilt when the stages change)
+  document.getElementById('filterChips').addEventListener('click', (e) => {
+    const chip = e.target.closest('.filter-chip');
+    if (!chip) return;
+    const filter = chip.dataset.filter;
+    if (tabFilter.chips.has(filter)) {
+      tabFilter.chips.delete(filter);
+    } else {
+      tabFilter.chips.add(filter);
+    }
+    chip.classList.toggle('active', tabFilter.chips.has(filter));
+    renderTabs();
   });
   
-  document.getElementById('oldSlider').addEventListener('input', (e) => {
-    const validated = validateThreshold('old', parseInt(e.target.value));
-    e.target.value = validated;
-    document.getElementById('oldValue').value = formatSliderValue(validated);
+  document.getElementById('tabSort').addEventListener('change', (e) => {
+    tabFilter.sort = e.target.value;
+    renderTabs();
   });
   
-  document.getElementById('oldSlider').addEventListener('change', (e) => {
-    const validated = validateThreshold('old', parseInt(e.target.value));
-    e.target.value = validated;
-    saveSettings({ oldThreshold: validated });
+  // Quick settings toggles
+  QUICK_TOGGLES.forEach(([id, key]) => {
+    document.getElementById(id).addEventListener('click', () => {
+      const toggle = document.getElementById(id);
+      const enabled = !toggle.classList.contains('active');
+      toggle.classList.toggle('active', enabled);
+      saveSettings({ [key]: enabled });
+    });
   });
   
-  // Editable input fields for thresholds with validation
-  document.getElementById('freshValue').addEventListener('change', (e) => {
-    const minutes = parseTimeInput(e.target.value);
-    if (minutes !== null && minutes >= 1) {
-      const validated = validateThreshold('fresh', minutes);
-      document.getElementById('freshSlider').value = validated;
-      e.target.value = formatSliderValue(validated);
-      saveSettings({ freshThreshold: validated });
-    } else {
-      e.target.value = formatSliderValue(settings.freshThreshold || 5);
+  // Settings profile switcher
+  document.getElementById('profileSelect').addEventListener('change', async (e) => {
+    if (e.target.value === MANAGE_PROFILES_OPTION) {
+      chrome.runtime.openOptionsPage();
+      loadProfiles();
+      return;
     }
+    renderProfileSelect(await chrome.runtime.sendMessage({ type: 'switchProfile', profileId: e.target.value }));
+    loadData();
   });
   
-  document.getElementById('staleValue').addEventListener('change', (e) => {
-    const minutes = parseTimeInput(e.target.value);
-    if (minutes !== null && minutes >= 2) {
-      const validated = validateThreshold('stale', minutes);
-      document.getElementById('staleSlider').value = validated;
-      e.target.value = formatSliderValue(validated);
-      saveSettings({ staleThreshold: validated });
-    } else {
-      e.target.value = formatSliderValue(settings.staleThreshold || 30);
-    }
+  document.getElementById('openOptionsBtn').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
   });
   
-  document.getElementById('oldValue').addEventListener('change', (e) => {
-    const minutes = parseTimeInput(e.target.value);
-    if (minutes !== null && minutes >= 3) {
-      const validated = validateThreshold('old', minutes);
-      document.getElementById('oldSlider').value = validated;
-      e.target.value = formatSliderValue(validated);
-      saveSettings({ oldThreshold: validated });
-    } else {
-      e.target.value = formatSliderValue(settings.oldThreshold || 60);
-    }
+  // Snooze menu
+  document.querySelectorAll('.snooze-option').forEach(opt => {
+    opt.addEventListener('click', () => snoozeFromMenu(opt.dataset.snooze));
   });
   
-  // Select all text on focus for easy editing, and track interaction
-  document.querySelectorAll('.setting-value, .auto-delete-value').forEach(input => {
-    input.addEventListener('focus', (e) => {
-      isInteractingWithSettings = true;
-      e.target.select();
-    });
-    input.addEventListener('blur', () => {
-      setTimeout(() => { isInteractingWithSettings = false; }, 100);
-    });
+  document.getElementById('snoozeCustomInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeSnoozeMenu();
+    if (e.key !== 'Enter') return;
+    const minutes = parseTimeInput(e.target.value);
+    if (minutes === null) {
+      e.target.classList.add('invalid');
+      return;
+    }
+    snoozeFromMenu('custom', minutes);
   });
   
-  // Stepper button handlers
-  document.querySelectorAll('.stepper-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      isInteractingWithSettings = true;
-      const action = btn.dataset.action;
-      const sliderId = btn.dataset.target;
-      const slider = document.getElementById(sliderId);
-      const min = parseInt(slider.min);
-      const max = parseInt(slider.max);
-      let value = parseInt(slider.value);
-      
-      // Determine step size based on current value
-      let step = 1;
-      if (value >= 60) step = 5;
-      if (value >= 120) step = 10;
-      if (value >= 480) step = 30;
-      
-      if (action === 'increase') {
-        value = Math.min(max, value + step);
-      } else {
-        value = Math.max(min, value - step);
-      }
-      
-      slider.value = value;
-      slider.dispatchEvent(new Event('input'));
-      slider.dispatchEvent(new Event('change'));
-      
-      setTimeout(() => { isInteractingWithSettings = false; }, 100);
-    });
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('#snoozeMenu') && !e.target.closest('.tab-snooze') && !e.target.closest('#bulkSnoozeBtn')) {
+      closeSnoozeMenu();
+    }
   });
   
-  // Style options
-  document.querySelectorAll('.style-option').forEach(opt => {
-    opt.addEventListener('click', () => {
-      isInteractingWithSettings = true;
-      document.querySelectorAll('.style-option').forEach(o => o.classList.remove('active'));
-      opt.classList.add('active');
-      saveSettings({ indicatorStyle: opt.dataset.style });
-      setTimeout(() => { isInteractingWithSettings = false; }, 500);
-    });
+  // Archive panel
+  document.getElementById('archiveSearch').addEventListener('input', (e) => {
+    archiveFilter.query = e.target.value.trim();
+    renderArchive();
   });
   
-  // Auto-delete toggle
-  document.getElementById('autoDeleteToggle').addEventListener('click', () => {
-    isInteractingWithSettings = true;
-    const toggle = document.getElementById('autoDeleteToggle');
-    const settingsDiv = document.getElementById('autoDeleteSettings');
-    const enabled = !toggle.classList.contains('active');
-    toggle.classList.toggle('active', enabled);
-    settingsDiv.classList.toggle('visible', enabled);
-    saveSettings({ autoDeleteEnabled: enabled });
-    setTimeout(() => { isInteractingWithSettings = false; }, 500);
+  document.getElementById('archiveTags').addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-archive-tag]');
+    if (!chip) return;
+    archiveFilter.tag = archiveFilter.tag === chip.dataset.archiveTag ? null : chip.dataset.archiveTag;
+    renderArchive();
   });
   
-  // Auto-delete slider
-  document.getElementById('autoDeleteSlider').addEventListener('input', (e) => {
-    const value = parseInt(e.target.value);
-    document.getElementById('autoDeleteValue').value = formatSliderValue(value);
+  document.getElementById('archiveOpenAllBtn').addEventListener('click', async () => {
+    const ids = getFilteredArchive().map(entry => entry.id);
+    if (ids.length === 0) return;
+    await chrome.runtime.sendMessage({ type: 'openArchiveEntries', ids });
   });
   
-  document.getElementById('autoDeleteSlider').addEventListener('change', (e) => {
-    saveSettings({ autoDeleteThreshold: parseInt(e.target.value) });
+  document.querySelectorAll('[data-archive-export]').forEach(btn => {
+    btn.addEventListener('click', () => exportArchive(btn.dataset.archiveExport));
   });
   
-  // Auto-delete editable input
-  document.getElementById('autoDeleteValue').addEventListener('change', (e) => {
-    const minutes = parseTimeInput(e.target.value);
-    if (minutes !== null && minutes >= 5 && minutes <= 1440) {
-      document.getElementById('autoDeleteSlider').value = minutes;
-      e.target.value = formatSliderValue(minutes);
-      saveSettings({ autoDeleteThreshold: minutes });
-    } else {
-      e.target.value = formatSliderValue(settings.autoDeleteThreshold || 60);
+  // Archive list buttons (delegated - the list is re-rendered often)
+  document.getElementById('archiveList').addEventListener('click', async (e) => {
+    const openBtn = e.target.closest('[data-archive-open]');
+    const editBtn = e.target.closest('[data-archive-edit]');
+    const removeBtn = e.target.closest('[data-archive-remove]');
+    const saveBtn = e.target.closest('[data-archive-save]');
+    
+    if (openBtn) {
+      await chrome.runtime.sendMessage({ type: 'openArchiveEntries', ids: [parseInt(openBtn.dataset.archiveOpen)] });
+    } else if (editBtn) {
+      const id = parseInt(editBtn.dataset.archiveEdit);
+      editingArchiveId = editingArchiveId === id ? null : id;
+      renderArchive();
+    } else if (removeBtn) {
+      await chrome.runtime.sendMessage({ type: 'removeArchiveEntry', id: parseInt(removeBtn.dataset.archiveRemove) });
+      loadArchive();
+    } else if (saveBtn) {
+      const entryEl = saveBtn.closest('.archive-entry');
+      const tags = entryEl.querySelector('[data-archive-tags-input]').value.split(',');
+      const note = entryEl.querySelector('[data-archive-note-input]').value.trim();
+      await chrome.runtime.sendMessage({ type: 'updateArchiveEntry', id: parseInt(saveBtn.dataset.archiveSave), tags, note });
+      editingArchiveId = null;
+      loadArchive();
     }
   });
   
-  document.getElementById('autoDeleteValue').addEventListener('focus', (e) => e.target.select());
+  // History search
+  document.getElementById('historySearch').addEventListener('input', (e) => {
+    historyQuery = e.target.value.trim();
+    renderHistory();
+  });
   
   // Clear history button
   document.getElementById('clearHistoryBtn').addEventListener('click', async () => {
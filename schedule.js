@@ -0,0 +1,81 @@
+// Tab Age Tracker - Schedules
+// Shared by the service worker (importScripts) and the options page.
+// Times are "HH:MM" in local time and days are 0 (Sunday) to 6, as from Date.getDay().
+// The working hours (settings.scheduleDays, scheduleStart, scheduleEnd) say when auto-delete and sleeping
+// may run and, with freezeAgingOffHours, when tabs age. Quiet blocks (settings.scheduleBlocks,
+// { days, start, end }) are periods such as meetings when neither runs. A period whose end is before
+// its start runs past midnight; one with the same start and end lasts all day.
+
+const SCHEDULE_LOOKAHEAD_DAYS = 8;
+
+// Minutes since midnight of an "HH:MM" time, or null if it isn't one
+function parseClockTime(text) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(text).trim());
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+// "HH:MM" for minutes since midnight
+function formatClockTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Whether a date falls in a period on the given days. The part of an overnight period after
+// midnight belongs to the day it started on.
+function isInPeriod(date, days, start, end) {
+  const from = parseClockTime(start);
+  const to = parseClockTime(end);
+  if (!Array.isArray(days) || from === null || to === null) return false;
+  
+  const day = date.getDay();
+  const minute = date.getHours() * 60 + date.getMinutes();
+  if (from === to) return days.includes(day);
+  if (from < to) return days.includes(day) && minute >= from && minute < to;
+  return (minute >= from && days.includes(day)) || (minute < to && days.includes((day + 6) % 7));
+}
+
+// Whether a date is inside the working hours
+function isWorkingTime(settings, date) {
+  return isInPeriod(date, settings.scheduleDays, settings.scheduleStart, settings.scheduleEnd);
+}
+
+// Whether a date is inside one of the quiet blocks
+function isQuietTime(settings, date) {
+  return (settings.scheduleBlocks || []).some(block => isInPeriod(date, block.days, block.start, block.end));
+}
+
+// Whether auto-delete and sleeping may run during this minute: always without a schedule,
+// otherwise during the working hours or, in 'times' mode, at the sweep times on working days
+function isAutoActionTime(settings, date) {
+  if (!settings.scheduleEnabled) return true;
+  if (isQuietTime(settings, date)) return false;
+  if (settings.scheduleMode !== 'times') return isWorkingTime(settings, date);
+  
+  const minute = date.getHours() * 60 + date.getMinutes();
+  return (settings.scheduleDays || []).includes(date.getDay()) &&
+    (settings.scheduleSweepTimes || []).some(time => parseClockTime(time) === minute);
+}
+
+// Whether tabs stop aging at this time
+function isAgingFrozenAt(settings, date) {
+  return !!settings.freezeAgingOffHours && !isWorkingTime(settings, date);
+}
+
+// Start of the first minute after `from` for which test(date) is true, or null if there's none
+// within SCHEDULE_LOOKAHEAD_DAYS. Steps through real time, so daylight saving changes just work.
+function findScheduleMinute(from, test) {
+  const start = Math.floor(from.getTime() / 60000) * 60000;
+  const limit = start + SCHEDULE_LOOKAHEAD_DAYS * 24 * 60 * 60000;
+  for (let time = start + 60000; time <= limit; time += 60000) {
+    const date = new Date(time);
+    if (test(date)) return date;
+  }
+  return null;
+}
+
+// Next time the schedule changes what happens: auto-delete and sleeping start or stop being allowed
+// (a sweep time counts as starting), or aging freezes or thaws. Null if nothing changes.
+function getNextScheduleChange(settings, from) {
+  const state = (date) => `${isAutoActionTime(settings, date)}|${isAgingFrozenAt(settings, date)}`;
+  const current = state(from);
+  return findScheduleMinute(from, date => state(date) !== current);
+}
@@ -0,0 +1,39 @@
+// Tab Age Tracker - Age stages
+// Shared by the service worker (importScripts), the popup and the options page.
+// settings.stages is an ordered list of { name, minutes, color }: a tab stays in a stage until it has
+// been inactive for longer than the stage's minutes, and the last stage holds everything older.
+// Each stage's color is fully reached at its minutes.
+
+const MAX_STAGES = 8;
+const MAX_STAGE_NAME_LENGTH = 24;
+
+// Index of the stage a tab of this age is in
+function getStageIndex(minutesInactive, stages) {
+  const index = stages.findIndex(stage => minutesInactive <= stage.minutes);
+  return index === -1 ? stages.length - 1 : index;
+}
+
+// Index of the stage Close Old works from (settings.closeOldStage, by name), defaulting to the last one
+function getCloseStageIndex(settings) {
+  const index = settings.stages.findIndex(stage => stage.name === settings.closeOldStage);
+  return index === -1 ? settings.stages.length - 1 : index;
+}
+
+// Check a stage list; returns an error message, or null if it's usable
+function validateStages(stages) {
+  if (!Array.isArray(stages) || stages.length < 2) return 'At least two stages are needed';
+  if (stages.length > MAX_STAGES) return `At most ${MAX_STAGES} stages are allowed`;
+  
+  const names = new Set();
+  for (let i = 0; i < stages.length; i++) {
+    const stage = stages[i];
+    if (!stage || typeof stage.name !== 'string' || stage.name.trim() === '') return `Stage ${i + 1} needs a name`;
+    if (stage.name.length > MAX_STAGE_NAME_LENGTH) return `"${stage.name}" is too long`;
+    if (names.has(stage.name.toLowerCase())) return `"${stage.name}" is used twice`;
+    names.add(stage.name.toLowerCase());
+    if (!Number.isFinite(stage.minutes) || stage.minutes <= 0) return `"${stage.name}" needs a time`;
+    if (i > 0 && stage.minutes <= stages[i - 1].minutes) return `"${stage.name}" must be longer than "${stages[i - 1].name}"`;
+    if (typeof stage.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(stage.color)) return `"${stage.name}" needs a color`;
+  }
+  return null;
+}
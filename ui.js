@@ -0,0 +1,66 @@
+// Tab Age Tracker - UI helpers
+// Shared by the popup and the options page.
+
+// Format slider value
+function formatSliderValue(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 1440) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return mins > 0 ? `${hours}h ${mins}m` : `${hours} hr`;
+  }
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  return hours > 0 ? `${days}d ${hours}h` : `${days} day`;
+}
+
+// Parse user input to minutes (supports: "30", "30m", "30 min", "1h", "1 hr", "1h 30m", "2d", etc.)
+function parseTimeInput(input) {
+  const str = input.trim().toLowerCase();
+  
+  // Try parsing as just a number (assume minutes)
+  if (/^\d+$/.test(str)) {
+    return parseInt(str);
+  }
+  
+  let totalMinutes = 0;
+  
+  // Match days
+  const dayMatch = str.match(/(\d+)\s*d/);
+  if (dayMatch) totalMinutes += parseInt(dayMatch[1]) * 1440;
+  
+  // Match hours
+  const hourMatch = str.match(/(\d+)\s*h/);
+  if (hourMatch) totalMinutes += parseInt(hourMatch[1]) * 60;
+  
+  // Match minutes
+  const minMatch = str.match(/(\d+)\s*m(?:in)?/);
+  if (minMatch) totalMinutes += parseInt(minMatch[1]);
+  
+  return totalMinutes > 0 ? totalMinutes : null;
+}
+
+// Trigger a file download from an extension page
+function downloadFile(filename, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Quote a value for CSV
+function csvCell(value) {
+  const str = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Escape HTML, including quotes so the result is safe inside attribute values too
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}